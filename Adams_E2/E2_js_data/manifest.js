@@ -0,0 +1,30 @@
+/* 
+ * Dataset manifest for the Adams Spectral Sequence Unified Viewer
+ * 
+ * Lists the datasets shown in the dataset picker. The data files themselves
+ * are only loaded when their dataset is selected.
+ * 
+ * Fields of each entry (see also DATASET MANIFEST in plot_assets/main.js):
+ *   prime   - the prime p (required)
+ *   module  - spectrum/module identifier used in file names (default "S0")
+ *   name    - display name, e.g. "S⁰" or "S/p" (default: module)
+ *   file    - data file relative to unified_viewer.html (default "E2_js_data/p_{prime}_{module}.js")
+ *   global  - global variable defined by the data file (default "DATA_JSON_p_{prime}_{module}")
+ *   t_min, t_max - computed t-range (optional; otherwise read from the loaded data)
+ *   time    - generation time, e.g. "2025-01-31 12:00:00" (optional)
+ *   label   - text shown in the picker (optional)
+ *   versions - earlier generations of the data, for "Compare datasets" (optional), each
+ *              { file, time, label, global } with global defaulting to that of the entry
+ * 
+ * Example of a module entry:
+ *   { prime: 3, module: "Moore", name: "S/3", file: "E2_js_data/p_3_Moore.js" }
+ * Example of an entry with an archived earlier generation:
+ *   { prime: 3, module: "S0", name: "S⁰",
+ *     versions: [{ file: "E2_js_data/archive/p_3_S0_2025-01-31.js", time: "2025-01-31" }] }
+ */
+globalThis.DATASET_MANIFEST = [
+    { prime: 3, module: "S0", name: "S⁰" },
+    { prime: 5, module: "S0", name: "S⁰" },
+    { prime: 7, module: "S0", name: "S⁰" },
+    { prime: 11, module: "S0", name: "S⁰" }
+];
@@ -0,0 +1,253 @@
+/* 
+ * Adams Spectral Sequence Unified Viewer - Image Export
+ * 
+ * Exports a rectangle of the chart as a standalone SVG or PNG file:
+ * - Bullets, structure lines, grid, highlights and annotations are copied from g_plot, after rendering
+ *   the whole range (the viewer only renders the elements around the camera window)
+ * - Elements outside the chosen (t-s, s) range are left out and the rest is clipped
+ * - Axis labels are drawn into the image, with the same spacing rule as updateAxisLabels()
+ * The range defaults to the current camera window.
+ */
+
+/* ===== CONFIGURATION ===== */
+
+const EXPORT_CONFIG = {
+    margin_x: 40,           // Space for the y-axis labels (pixels)
+    margin_y: 30,           // Space for the x-axis labels (pixels)
+    margin_top: 10,         // Empty space above and right of the chart (pixels)
+    font_size: 12,          // Axis label font size (pixels)
+    png_max_pixels: 16384,  // Largest PNG width or height most browsers can rasterize
+};
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/* ===== RANGE SELECTION ===== */
+
+// Integer (t-s, s) range covering the current camera window (in any coordinate system)
+function getCameraRange() {
+    return getDegreeRange(camera.getWindow());
+}
+
+// Add the (t-s, s) range inputs to a form, initialized to the camera window
+function createExportRangeFields(form) {
+    const range = getCameraRange();
+    createNumberField(form, "t−s from", "x_min", range.x_min);
+    createNumberField(form, "t−s to", "x_max", range.x_max);
+    createNumberField(form, "s from", "y_min", range.y_min);
+    createNumberField(form, "s to", "y_max", range.y_max);
+}
+
+// Read the range from a form; returns null (after showing an error in the form) if it is invalid
+function readExportRange(form) {
+    const range = {
+        x_min: parseInt(form.elements.x_min.value),
+        x_max: parseInt(form.elements.x_max.value),
+        y_min: parseInt(form.elements.y_min.value),
+        y_max: parseInt(form.elements.y_max.value)
+    };
+    if ([range.x_min, range.x_max, range.y_min, range.y_max].some(isNaN) || range.x_min > range.x_max || range.y_min > range.y_max) {
+        showFormError(form, "Please enter a valid range: the lower bounds must not exceed the upper bounds.");
+        return null;
+    }
+    return range;
+}
+
+/* ===== SVG SERIALIZATION ===== */
+
+// Check whether a plot element intersects the rectangle [x0, x1] x [y0, y1]
+function isElementInRect(ele, x0, x1, y0, y1) {
+    if (ele.tagName === "circle") {
+        const cx = Number(ele.getAttribute("cx")), cy = Number(ele.getAttribute("cy")), r = Number(ele.getAttribute("r"));
+        return cx + r >= x0 && cx - r <= x1 && cy + r >= y0 && cy - r <= y1;
+    }
+    if (ele.tagName === "line") {
+        const xa = Number(ele.getAttribute("x1")), xb = Number(ele.getAttribute("x2"));
+        const ya = Number(ele.getAttribute("y1")), yb = Number(ele.getAttribute("y2"));
+        return Math.max(xa, xb) >= x0 && Math.min(xa, xb) <= x1 && Math.max(ya, yb) >= y0 && Math.min(ya, yb) <= y1;
+    }
+    if (ele.tagName === "rect") {
+        const x = Number(ele.getAttribute("x")), y = Number(ele.getAttribute("y"));
+        return x + Number(ele.getAttribute("width")) >= x0 && x <= x1 && y + Number(ele.getAttribute("height")) >= y0 && y <= y1;
+    }
+    return true;
+}
+
+// Copy a group of g_plot, keeping only the children inside the rectangle
+// Nested groups (e.g. the structure lines of one operation) are filtered as well
+function cloneGroupInRect(group, x0, x1, y0, y1) {
+    const clone = group.cloneNode(false);
+    clone.removeAttribute("id");
+    for (const child of group.children) {
+        if (child.tagName === "g") {
+            clone.appendChild(cloneGroupInRect(child, x0, x1, y0, y1));
+        } else if (isElementInRect(child, x0, x1, y0, y1)) {
+            const childClone = child.cloneNode(true);
+            childClone.removeAttribute("class"); // Classes only matter for the interactive viewer
+            clone.appendChild(childClone);
+        }
+    }
+    return clone;
+}
+
+// Build a standalone <svg> element showing the range, with unit pixels per world unit
+function buildExportSvg(range, unit) {
+    // World rectangle: half a stem and half a unit of padding around the integer range, as in the viewer
+    const rect = getWorldRect(range);
+    const x0 = rect.x_min - getColumnWidth() / 2, x1 = rect.x_max + getColumnWidth() / 2;
+    const y0 = range.y_min - 0.5, y1 = range.y_max + 0.5;
+    const plotWidth = (x1 - x0) * unit, plotHeight = (y1 - y0) * unit;
+    const width = EXPORT_CONFIG.margin_x + plotWidth + EXPORT_CONFIG.margin_top;
+    const height = EXPORT_CONFIG.margin_top + plotHeight + EXPORT_CONFIG.margin_y;
+
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", "0 0 " + width + " " + height);
+    svg.setAttribute("font-family", "sans-serif");
+    svg.setAttribute("font-size", EXPORT_CONFIG.font_size);
+
+    const background = document.createElementNS(SVG_NS, "rect");
+    background.setAttribute("width", width);
+    background.setAttribute("height", height);
+    background.setAttribute("fill", "white");
+    svg.appendChild(background);
+
+    // Clip the chart to the plot area
+    const defs = document.createElementNS(SVG_NS, "defs");
+    const clipPath = document.createElementNS(SVG_NS, "clipPath");
+    clipPath.setAttribute("id", "clip_plot");
+    const clipRect = document.createElementNS(SVG_NS, "rect");
+    clipRect.setAttribute("x", x0);
+    clipRect.setAttribute("y", y0);
+    clipRect.setAttribute("width", x1 - x0);
+    clipRect.setAttribute("height", y1 - y0);
+    clipPath.appendChild(clipRect);
+    defs.appendChild(clipPath);
+    svg.appendChild(defs);
+
+    // World coordinates -> image pixels, with y pointing up as in g_svg
+    const plot = document.createElementNS(SVG_NS, "g");
+    plot.setAttribute("transform",
+        "translate(" + EXPORT_CONFIG.margin_x + "," + (EXPORT_CONFIG.margin_top + plotHeight) + ") " +
+        "scale(" + unit + "," + (-unit) + ") translate(" + (-x0) + "," + (-y0) + ")");
+    const clipped = document.createElementNS(SVG_NS, "g");
+    clipped.setAttribute("clip-path", "url(#clip_plot)");
+    plot.appendChild(clipped);
+
+    // Same stacking order as g_plot, without the hover circle and the lasso; annotations are included
+    renderRegion({ x_min: x0, x_max: x1, y_min: y0, y_max: y1 }, unit, true);
+    for (const child of g_plot.children) {
+        if (child.id === "circle_mouseon" || child.id === "polyline_lasso") continue;
+        if (child.tagName === "g") {
+            clipped.appendChild(cloneGroupInRect(child, x0, x1, y0, y1));
+        } else if (isElementInRect(child, x0, x1, y0, y1)) {
+            const clone = child.cloneNode(true);
+            clone.removeAttribute("id");
+            clipped.appendChild(clone);
+        }
+    }
+    renderView(); // Back to the camera window
+    svg.appendChild(plot);
+
+    // Axes, in image pixels
+    const toX = function(x) { return EXPORT_CONFIG.margin_x + (x - x0) * unit; };
+    const toY = function(y) { return EXPORT_CONFIG.margin_top + plotHeight - (y - y0) * unit; };
+    const axes = document.createElementNS(SVG_NS, "g");
+    axes.setAttribute("stroke", "black");
+    axes.setAttribute("stroke-width", "2");
+    axes.innerHTML = '<line x1="' + toX(x0) + '" y1="' + toY(y0) + '" x2="' + toX(x1) + '" y2="' + toY(y0) + '"></line>' +
+        '<line x1="' + toX(x0) + '" y1="' + toY(y0) + '" x2="' + toX(x0) + '" y2="' + toY(y1) + '"></line>';
+    svg.appendChild(axes);
+
+    // Axis labels: same spacing rule as updateAxisLabels(), in the coordinates of the viewer
+    const stepLabel = Math.ceil(CONFIG.axis_text_sep_screen / unit);
+    const stepX = getAxisStepX(unit);
+    const labels = document.createElementNS(SVG_NS, "g");
+    let labelsHTML = "";
+    for (let i = Math.ceil(rect.x_min / stepX) * stepX; i <= rect.x_max; i += stepX) {
+        labelsHTML += '<text x="' + toX(i) + '" y="' + (toY(y0) + EXPORT_CONFIG.font_size + 6) + '" text-anchor="middle">' + i + '</text>';
+    }
+    for (let i = Math.ceil(range.y_min / stepLabel) * stepLabel; i <= range.y_max; i += stepLabel) {
+        labelsHTML += '<text x="' + (EXPORT_CONFIG.margin_x - 4) + '" y="' + toY(i) + '" dy="0.35em" text-anchor="end">' + i + '</text>';
+    }
+    labels.innerHTML = labelsHTML;
+    svg.appendChild(labels);
+
+    return svg;
+}
+
+// Serialize an <svg> element to a standalone SVG document
+function serializeSvg(svg) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+// File name for an export of the range, e.g. adams_e2_p_3_S0_0-80_0-40.svg
+function getExportFilename(range, extension) {
+    const id = DATA_JSON.dataset ? DATA_JSON.dataset.id : "chart";
+    return "adams_e2_" + id + "_" + range.x_min + "-" + range.x_max + "_" + range.y_min + "-" + range.y_max + "." + extension;
+}
+
+/* ===== EXPORT ACTIONS ===== */
+
+function exportSvg(range, unit) {
+    const svg = buildExportSvg(range, unit);
+    downloadFile(serializeSvg(svg), getExportFilename(range, "svg"), "image/svg+xml");
+}
+
+// Rasterize the SVG export through an <img> and a <canvas>
+function exportPng(range, unit) {
+    const svg = buildExportSvg(range, unit);
+    const width = Number(svg.getAttribute("width")), height = Number(svg.getAttribute("height"));
+    if (width > EXPORT_CONFIG.png_max_pixels || height > EXPORT_CONFIG.png_max_pixels) {
+        showCustomModal("Export PNG", "The image would be " + Math.round(width) + " × " + Math.round(height) + " pixels, which is too large for a PNG. Please choose a smaller range or resolution, or export SVG instead.");
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: "image/svg+xml" }));
+    const img = new Image();
+    img.onload = function() {
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.ceil(width);
+        canvas.height = Math.ceil(height);
+        canvas.getContext("2d").drawImage(img, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(function(blob) {
+            downloadFile(blob, getExportFilename(range, "png"), "image/png");
+        }, "image/png");
+    };
+    img.onerror = function() {
+        URL.revokeObjectURL(url);
+        showCustomModal("Export PNG", "The PNG image could not be created. Please try exporting SVG instead.");
+    };
+    img.src = url;
+}
+
+// Show the export dialog; format is "svg" or "png"
+function showExportDialog(format) {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+    createExportRangeFields(form);
+    // Default resolution: the current zoom level, so the export looks like the screen
+    const unitInput = createNumberField(form, "Pixels per unit", "unit", Math.round(camera.unit_svg * 10) / 10, 0.1);
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Export " + format.toUpperCase();
+    form.appendChild(submit);
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const range = readExportRange(form);
+        const unit = parseFloat(unitInput.value);
+        if (range === null) return;
+        if (!(unit > 0)) {
+            showFormError(form, "Please enter a positive resolution.");
+            return;
+        }
+        closeCustomModal();
+        if (format === "png") exportPng(range, unit);
+        else exportSvg(range, unit);
+    };
+
+    showCustomModal("Export " + format.toUpperCase(), form);
+}
@@ -2,10 +2,10 @@
  * Adams Spectral Sequence Unified Viewer - Main JavaScript
  * 
  * This file handles the interactive visualization of the Adams Spectral Sequence
- * E₂ page for the sphere S⁰ at various primes. It provides:
+ * E₂ page for the sphere S⁰ and other spectra at various primes. It provides:
  * - Mathematical data visualization (bullets = generators, lines = products)
  * - Interactive navigation (zoom, pan, selection)
- * - Multi-prime support with dynamic data loading
+ * - Multi-dataset support driven by a manifest, with on-demand data loading
  * - Touch and mouse interaction handling
  */
 
@@ -14,14 +14,24 @@
 // Application state - tracks current mode (currently only "start" mode)
 var STATE = "start";
 
-// Global storage for the currently loaded prime's data
+// Global storage for the currently loaded dataset's data
 var DATA_JSON = {};
 
+// Extra URL parameters kept in sync with the view (see VIEW STATE IN THE URL)
+// Each entry: { key, get: function() returning a string or null, set: function(string or null) }
+const URL_EXTRA_PARAMS = [];
+
+// Register an extra URL parameter; declared early so that any part of the code can use it
+function registerUrlParam(key, get, set) {
+    URL_EXTRA_PARAMS.push({ key: key, get: get, set: set });
+}
+
 // Pointer/touch interaction tracking
 const pointerCache = [];
 var prevPtsDist = null, prevPt = null, prevPinchScale = null;
 var isPointerActive = false;
 var activePointerId = null;
+var clickStartPt = null; // Where the pointer went down, or null once it is no longer a click (a pan or a pinch)
 
 // Calculate maximum bounds based on actual data to ensure proper viewing area
 function calculateMaxBounds(data_json) {
@@ -30,23 +40,38 @@ function calculateMaxBounds(data_json) {
     
     if (data_json && data_json.bullets) {
         for (const bullet of data_json.bullets) {
-            x_max = Math.max(x_max, bullet.x);
+            x_max = Math.max(x_max, transX(bullet.x, data_json, bullet.y));
             y_max = Math.max(y_max, bullet.y);
         }
     }
     
     // Add padding and extend bounds for grid - use original larger bounds as fallback
     return {
-        x_max: Math.max(Math.round(x_max * 1.05), 270),
+        x_max: Math.max(Math.round(x_max * 1.05), Math.round(270 * getColumnWidth())),
         y_max: Math.max(y_max + 10, 130)
     };
 }
 
-// Calculate maximum t-value for a given prime to show data range
-function getTmaxForPrime(prime) {
-    const globalVarName = 'DATA_JSON_p_' + prime + '_S0';
-    if (window[globalVarName]) {
-        const data = window[globalVarName];
+// Fit the bounds to the current dataset and the compared one, if any
+function updateBounds() {
+    const bounds = calculateMaxBounds(DATA_JSON);
+    if (COMPARISON) {
+        const other = calculateMaxBounds(COMPARISON.data);
+        bounds.x_max = Math.max(bounds.x_max, other.x_max);
+        bounds.y_max = Math.max(bounds.y_max, other.y_max);
+    }
+    CONFIG.x_max = bounds.x_max;
+    CONFIG.y_max = bounds.y_max;
+    CONFIG_DYNAMIC.camera_unit_screen_min = (window.innerWidth - CONFIG.margin_x) / (CONFIG.x_max + 1);
+}
+
+// Calculate maximum t-value for a dataset to show data range
+// Uses the manifest value if given, otherwise the loaded data
+// Returns null if neither is available
+function getTmaxForDataset(dataset) {
+    if (typeof dataset.t_max === "number") return dataset.t_max;
+    if (window[dataset.global]) {
+        const data = window[dataset.global];
         let tmax = 0;
         if (data && data.bullets) {
             for (const bullet of data.bullets) {
@@ -58,7 +83,7 @@ function getTmaxForPrime(prime) {
         }
         return Math.floor(tmax); // Return as integer
     }
-    return 0;
+    return null;
 }
 
 /* 
@@ -76,7 +101,31 @@ var CONFIG = {
     axis_text_sep_screen: 60,      // Minimum screen pixels between axis labels
     camera_zoom_rate: 1.06,        // Zoom sensitivity
     camera_translate_pixels: 100,  // Pan distance per keypress (pixels)
-    plot_batchSize: 1000,          // Number of elements to render per animation frame
+    cull_cell: 8,                  // Cell size of the spatial index (world units)
+    cull_margin: 0.5,              // Rendered area around the camera window (fraction of the window size per side)
+    grid_min_sep_screen: 4,        // Minimum screen pixels between grid lines (the grid gets coarser when zoomed out)
+    lines_min_unit_screen: 3,      // Structure lines are left out below this many pixels per world unit
+    canvas_min_elements: 4000,     // Draw to the canvas instead of SVG when a render has more bullets and lines
+    hit_tolerance_screen: 2,       // Pointer distance (pixels) within which a bullet counts as hit
+    click_max_move_screen: 4,      // A press that moves further than this (pixels) is a pan, not a click
+    data_dir: "E2_js_data/",       // Directory of the data files, relative to unified_viewer.html
+    url_update_delay: 300,         // Delay (ms) before the URL follows camera and selection changes
+    stack_sep_screen: 10,          // Preferred screen pixels between generators of one bidegree
+    stack_width: 0.7,              // Maximum width of the generators of one bidegree (world units)
+    stack_badge_sep_screen: 3,     // Show a count badge when generators are closer than this (pixels)
+    stack_badge_font_screen: 10,   // Font size of the count badges (pixels)
+    annotation_font_screen: 12,    // Font size of the annotations (pixels)
+    focus_ring_screen: 8,          // Minimum radius of the keyboard focus ring (pixels)
+    follow_margin: 0.15,           // The camera follows a keyboard selection closer to the edge than this (fraction of the window)
+    announce_delay: 800,           // Accessible mode announces the view once the camera has stopped for this long (ms)
+    minimap_width: 200,            // Width of the overview map (pixels)
+    minimap_max_height: 120,       // Maximum height of the overview map (pixels)
+    camera_animation_ms: 400,      // Duration of the camera transitions (ms; 0 for none)
+    wheel_inertia: 0.15,           // Part of each wheel zoom step that keeps going after the wheel stops
+    wheel_inertia_max: 1,          // Maximum coasting zoom per frame (in wheel steps)
+    wheel_friction: 0.85,          // Decay of the coasting zoom per frame
+    fit_padding: 1,                // Margin around fitted generators (world units)
+    fit_min_size: 10,              // Smallest region that fitting zooms in to (world units)
 };
 
 var CONFIG_DYNAMIC = {
@@ -86,9 +135,98 @@ var CONFIG_DYNAMIC = {
     camera_unit_screen_max: Math.min(window.innerWidth, window.innerHeight) - 30,           // Maximum zoom (fully zoomed in)
 };
 
-// Available primes and currently selected prime
-const AVAILABLE_PRIMES = [3, 5, 7, 11];
-var CURRENT_PRIME = 3;
+/* 
+ * DATASET MANIFEST:
+ * 
+ * The available datasets are listed in E2_js_data/manifest.js, which defines
+ * globalThis.DATASET_MANIFEST = [ { ...entry... }, ... ]
+ * Each entry has the fields:
+ *   prime   - the prime p (required)
+ *   module  - the spectrum/module identifier used in file names (default "S0")
+ *   name    - display name of the spectrum/module (default: module, e.g. "S⁰")
+ *   file    - path of the data file relative to unified_viewer.html
+ *             (default CONFIG.data_dir + "p_{prime}_{module}.js")
+ *   global  - name of the global variable defined by the file
+ *             (default "DATA_JSON_p_{prime}_{module}")
+ *   t_min, t_max - the computed t-range (optional, shown in About & Metadata)
+ *   time    - generation time of the data (optional)
+ *   label   - text shown in the dataset picker (optional)
+ *   versions - earlier generations of the data file (optional): [{ file, time, label, global }],
+ *             global defaulting to that of the entry; they can be compared with the current one
+ * If the manifest is missing, DEFAULT_MANIFEST is used.
+ */
+const DEFAULT_MANIFEST = [
+    { prime: 3, module: "S0" },
+    { prime: 5, module: "S0" },
+    { prime: 7, module: "S0" },
+    { prime: 11, module: "S0" }
+];
+
+// Display names for common modules
+const MODULE_NAMES = { "S0": "S⁰" };
+
+// Available datasets (normalized manifest entries) and currently selected dataset
+var DATASETS = [];
+var CURRENT_DATASET = null;
+
+// Fill in the default values of a manifest entry
+function normalizeManifestEntry(entry) {
+    const module = entry.module || "S0";
+    const id = "p_" + entry.prime + "_" + module;
+    const dataset = Object.assign({
+        id: id,
+        module: module,
+        name: MODULE_NAMES[module] || module,
+        file: CONFIG.data_dir + id + ".js",
+        global: "DATA_JSON_" + id
+    }, entry, { module: module });
+    dataset.versions = (entry.versions || []).map(function(version, k) {
+        return normalizeVersionEntry(dataset, version, k);
+    });
+    return dataset;
+}
+
+// Earlier generation of a dataset, with the id "p_3_S0@2025-01-31" (or "p_3_S0@1" without a time)
+function normalizeVersionEntry(dataset, version, k) {
+    return Object.assign({
+        prime: dataset.prime,
+        module: dataset.module,
+        name: dataset.name,
+        global: dataset.global
+    }, version, {
+        id: dataset.id + "@" + (version.time || k + 1),
+        versions: [],
+        versionOf: dataset
+    });
+}
+
+// Read the dataset manifest into DATASETS
+function loadManifest() {
+    const manifest = Array.isArray(globalThis.DATASET_MANIFEST) ? globalThis.DATASET_MANIFEST : DEFAULT_MANIFEST;
+    DATASETS = manifest.filter(function(entry) {
+        if (typeof entry.prime !== "number") {
+            console.error("Manifest entry without a prime is ignored:", entry);
+            return false;
+        }
+        return true;
+    }).map(normalizeManifestEntry);
+}
+
+// Find a dataset or an earlier generation by its id, e.g. "p_3_S0" or "p_3_S0@2025-01-31"
+function getDatasetById(id) {
+    for (const dataset of DATASETS) {
+        if (dataset.id === id) return dataset;
+        const version = dataset.versions.find(function(version) { return version.id === id; });
+        if (version) return version;
+    }
+    return null;
+}
+
+// Text shown for a dataset in the picker
+function getDatasetLabel(dataset) {
+    if (dataset.label) return dataset.label;
+    return dataset.module === "S0" ? "Prime " + dataset.prime : dataset.name + ", p = " + dataset.prime;
+}
 
 /* ===== MATHEMATICAL UTILITIES ===== */
 
@@ -122,6 +260,19 @@ function clip(x, min_, max_) {
     else return x;
 }
 
+// Let the user download a file; content is a string or a Blob
+function downloadFile(content, filename, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+}
+
 /* ===== CAMERA SYSTEM ===== */
 
 /* 
@@ -147,14 +298,7 @@ const camera = {
         // Adjust origin to zoom around pivot point
         let origin_sp1 = pivotSvg.add(this.o_svg.sub(pivotSvg).mul(rate1));
         
-        // Constrain camera to stay within data bounds
-        let x_min = window.innerWidth - (CONFIG.x_max + 0.5) * this.unit_svg;
-        let x_max = CONFIG.margin_x + 0.5 * this.unit_svg;
-        let y_min = window.innerHeight - (CONFIG.y_max + 0.5) * this.unit_svg;
-        let y_max = CONFIG.margin_y + 0.5 * this.unit_svg;
-        if (y_min > y_max) y_min = y_max;
-        
-        this.o_svg = new Vector(clip(origin_sp1.x, x_min, x_max), clip(origin_sp1.y, y_min, y_max));
+        this.o_svg = this.clampOrigin(origin_sp1, this.unit_svg);
         camera.setTransform();
         updateAxisLabels();
     },
@@ -163,18 +307,21 @@ const camera = {
     translate: function (deltaSvg) {
         let origin_sp1 = this.o_svg.add(deltaSvg);
         
-        // Constrain panning to data bounds
-        let x_min = window.innerWidth - (CONFIG.x_max + 0.5) * this.unit_svg;
-        let x_max = CONFIG.margin_x + 0.5 * this.unit_svg;
-        let y_min = window.innerHeight - (CONFIG.y_max + 0.5) * this.unit_svg;
-        let y_max = CONFIG.margin_y + 0.5 * this.unit_svg;
-        if (y_min > y_max) y_min = y_max;
-        
-        this.o_svg = new Vector(clip(origin_sp1.x, x_min, x_max), clip(origin_sp1.y, y_min, y_max));
+        this.o_svg = this.clampOrigin(origin_sp1, this.unit_svg);
         camera.setTransform();
         updateAxisLabels();
     },
     
+    // Constrain an origin at a zoom level of unit so that the camera stays within the data bounds
+    clampOrigin: function (o_svg, unit) {
+        let x_min = window.innerWidth - (CONFIG.x_max + 0.5) * unit;
+        let x_max = CONFIG.margin_x + 0.5 * unit;
+        let y_min = window.innerHeight - (CONFIG.y_max + 0.5) * unit;
+        let y_max = CONFIG.margin_y + 0.5 * unit;
+        if (y_min > y_max) y_min = y_max;
+        return new Vector(clip(o_svg.x, x_min, x_max), clip(o_svg.y, y_min, y_max));
+    },
+    
     // Convert world coordinates to SVG pixel coordinates
     world2svg: function (ptWorld) {
         return this.o_svg.add(ptWorld.mul(this.unit_svg));
@@ -185,6 +332,13 @@ const camera = {
         return ptSvg.sub(this.o_svg).mul(1 / this.unit_svg);
     },
     
+    // World coordinates of the visible plot area (excluding the axis margins)
+    getWindow: function () {
+        const min = this.svg2world(new Vector(CONFIG.margin_x, CONFIG.margin_y));
+        const max = this.svg2world(new Vector(window.innerWidth, window.innerHeight));
+        return { x_min: min.x, x_max: max.x, y_min: min.y, y_max: max.y };
+    },
+    
     // Flip y-coordinate (SVG has origin at top-left, math has origin at bottom-left)
     flip: function (ptScreen) {
         return new Vector(ptScreen.x, window.innerHeight - ptScreen.y);
@@ -193,15 +347,17 @@ const camera = {
     // Apply current transform to the plot group
     setTransform: function () {
         g_plot.setAttribute("transform", "translate(" + this.o_svg.x + "," + this.o_svg.y + ") scale(" + this.unit_svg + ")");
+        scheduleRender();
+        scheduleUrlUpdate();
     }
 };
 
 /* ===== GLOBAL ELEMENT REFERENCES ===== */
 
 // SVG and group elements for the visualization
-var svg_ss, g_svg, g_plot, g_bullets, g_strtlines, g_labels, g_xaxis, g_yaxis;
-var circle_mouseon, rect_selected, g_prod, div_menu_style;
-var bullet_selected = null;
+var svg_ss, g_svg, g_plot, g_bullets, g_strtlines, g_labels, g_badges, g_xaxis, g_yaxis;
+var circle_mouseon, rect_selected, g_prod, div_menu_style, canvas_plot;
+var selected_index = null; // Index of the selected bullet, or null
 
 /* ===== INITIALIZATION AND SETUP ===== */
 
@@ -220,17 +376,20 @@ function initializeElements() {
     
     g_strtlines = document.getElementById("g_strtlines");
     g_labels = document.getElementById("g_labels");
+    g_badges = document.getElementById("g_badges");
     g_xaxis = document.getElementById("g_xaxis");
     g_yaxis = document.getElementById("g_yaxis");
     circle_mouseon = document.getElementById("circle_mouseon");
     rect_selected = document.getElementById("rect_selected");
     g_prod = document.getElementById("g_prod");
     div_menu_style = document.getElementById("div_menu").style;
+    canvas_plot = document.getElementById("canvas_plot");
     
     // Set up SVG dimensions and coordinate system
     svg_ss.setAttribute("width", window.innerWidth);
     svg_ss.setAttribute("height", window.innerHeight);
     g_svg.setAttribute("transform", "translate(0," + window.innerHeight + ") scale(1,-1)"); // Flip y-axis
+    resizeCanvas();
 }
 
 // Handle window resize events
@@ -241,24 +400,36 @@ function windowResize() {
     // Update dynamic config based on new window size
     CONFIG_DYNAMIC.camera_unit_screen_min = (window.innerWidth - CONFIG.margin_x) / (CONFIG.x_max + 1);
     CONFIG_DYNAMIC.camera_unit_screen_max = Math.min(window.innerWidth, window.innerHeight) - 30;
+    resizeCanvas();
+    scheduleRender();
 }
 
 /* ===== AXIS AND GRID SYSTEM ===== */
 
-// Simple identity function for axis numbers (could be extended for formatting)
-function getAxisNumber(x) { return x; }
+// Step between the x-axis labels at unit pixels per world unit. For t−s and t, the steps are
+// divisors of q when zoomed in and multiples of q when zoomed out, so that multiples of q are labeled
+function getAxisStepX(unit) {
+    const step = Math.ceil(CONFIG.axis_text_sep_screen / unit);
+    const q = getCoordinateQ();
+    if (COORDINATE_SYSTEM === "q") return step; // Each unit is already q stems
+    for (let d = step; d < q; d++) {
+        if (q % d === 0) return d;
+    }
+    return q * Math.ceil(step / q);
+}
 
 // Update axis labels based on current viewport and zoom level
 function updateAxisLabels() {
     var stepLabel = Math.ceil(CONFIG.axis_text_sep_screen / camera.unit_svg);
-    let i_min = Math.ceil(camera.svg2world(new Vector(30, 0)).x / stepLabel) * stepLabel;
+    const stepX = getAxisStepX(camera.unit_svg);
+    let i_min = Math.ceil(camera.svg2world(new Vector(30, 0)).x / stepX) * stepX;
     let i_max = Math.floor(camera.svg2world(new Vector(window.innerWidth, 0)).x);
     g_xaxis.innerHTML = "";
     
-    // Create x-axis labels (t-s coordinate)
-    for (let i = i_min; i <= i_max; i += stepLabel) {
+    // Create x-axis labels (t-s coordinate, or the one of COORDINATE_SYSTEM)
+    for (let i = i_min; i <= i_max; i += stepX) {
         let xText = camera.world2svg(new Vector(i, 0)).x;
-        let label = '<text x="' + xText + '" y="-10">' + getAxisNumber(i) + '</text>';
+        let label = '<text x="' + xText + '" y="-10">' + i + '</text>';
         g_xaxis.insertAdjacentHTML("beforeend", label);
     }
     
@@ -273,25 +444,35 @@ function updateAxisLabels() {
     }
 }
 
+// Grid spacings used when zoomed out, so that grid lines stay CONFIG.grid_min_sep_screen pixels apart
+const GRID_STEPS = [1, 2, 5, 10, 20, 50, 100];
+
+// Spacing of the grid lines at a zoom level of unit pixels per world unit
+function getGridStep(unit) {
+    return GRID_STEPS.find(function(step) { return step * unit >= CONFIG.grid_min_sep_screen; }) || GRID_STEPS[GRID_STEPS.length - 1];
+}
+
 // Create the coordinate grid background with consistent appearance
-function addGridLines() {
+// Only the grid lines inside rect (world coordinates) are drawn, every step units
+function addGridLines(rect, step) {
     const g_grid = document.getElementById("g_grid");
-    g_grid.innerHTML = '';
     
     // Use consistent grid style across browsers
     const gridStyle = 'stroke="#e0e0e0" stroke-width="0.015" stroke-opacity="0.6"';
+    const x0 = Math.max(rect.x_min, -0.5), x1 = Math.min(rect.x_max, CONFIG.x_max + 0.5);
+    const y0 = Math.max(rect.y_min, -0.5), y1 = Math.min(rect.y_max, CONFIG.y_max);
+    let gridHTML = "";
 
     // Add horizontal grid lines
-    for (let i = 0; i <= CONFIG.y_max; i += 1) {
-        const line = `<line x1="-0.5" y1="${i}" x2="${CONFIG.x_max + 0.5}" y2="${i}" ${gridStyle}></line>`;
-        g_grid.insertAdjacentHTML("beforeend", line);
+    for (let i = Math.max(0, Math.ceil(y0 / step) * step); i <= y1; i += step) {
+        gridHTML += `<line x1="${x0}" y1="${i}" x2="${x1}" y2="${i}" ${gridStyle}></line>`;
     }
 
     // Add vertical grid lines
-    for (let i = 0; i <= CONFIG.x_max; i += 1) {
-        const line = `<line x1="${i}" y1="-.5" x2="${i}" y2="${CONFIG.y_max}" ${gridStyle}></line>`;
-        g_grid.insertAdjacentHTML("beforeend", line);
+    for (let i = Math.max(0, Math.ceil(x0 / step) * step); i <= x1; i += step) {
+        gridHTML += `<line x1="${i}" y1="${y0}" x2="${i}" y2="${y1}" ${gridStyle}></line>`;
     }
+    g_grid.innerHTML = gridHTML;
 }
 
 /* ===== POINTER/TOUCH INTERACTION SYSTEM ===== */
@@ -314,9 +495,11 @@ function cleanupPointerCache() {
 
 // Cleanup function for pointer state
 function cleanupPointerState() {
+    if (lasso) cancelLasso();
     pointerCache.length = 0;
     prevPt = null;
     prevPtsDist = null;
+    clickStartPt = null;
     isPointerActive = false;
     activePointerId = null;
     
@@ -342,6 +525,11 @@ function handleGlobalPointerCancel(event) {
 function on_pointerdown(event) {
     if (STATE === "start" && event.button === 0) { // Only handle left mouse button
         div_menu_style.visibility = "hidden"; // Hide context menu
+        stopCameraMotion(); // Grabbing the chart stops a transition
+        if (event.shiftKey && pointerCache.length === 0) {
+            startLasso(event); // Shift-drag selects with a lasso instead of panning
+            return;
+        }
         pointerCache.push(event);
 
         // Track active pointer state
@@ -361,8 +549,10 @@ function on_pointerdown(event) {
         // Initialize tracking based on number of pointers
         if (pointerCache.length === 1) {
             prevPt = new Vector(event.clientX, event.clientY); // Single pointer - prepare for panning
+            clickStartPt = prevPt;
         } else if (pointerCache.length === 2) {
             prevPtsDist = getDistPts(); // Two pointers - prepare for pinch-to-zoom
+            clickStartPt = null;
         }
     }
 }
@@ -370,6 +560,10 @@ function on_pointerdown(event) {
 // Handle pointer move events (mouse move or touch move)
 function on_pointermove(event) {
     if (STATE === "start") {
+        if (lasso) {
+            if (event.pointerId === lasso.pointerId) extendLasso(event);
+            return;
+        }
         let index = 0;
         // Update the moving pointer in cache
         for (; index < pointerCache.length; index++) {
@@ -385,6 +579,7 @@ function on_pointermove(event) {
         // Single pointer movement - pan the camera
         if (pointerCache.length === 1 && index < pointerCache.length) {
             let curPt = new Vector(event.clientX, event.clientY);
+            if (clickStartPt && curPt.dist(clickStartPt) > CONFIG.click_max_move_screen) clickStartPt = null;
             let deltaScreen = curPt.sub(prevPt);
             camera.translate(new Vector(deltaScreen.x, -deltaScreen.y)); // Note: y is inverted
             prevPt = curPt;
@@ -418,6 +613,11 @@ function on_pointerup(event) {
         // Release pointer capture
         event.target.releasePointerCapture(event.pointerId);
 
+        if (lasso) {
+            if (event.pointerId === lasso.pointerId) finishLasso();
+            return;
+        }
+
         if (removeEvent(event.pointerId)) {
             // Update tracking after pointer removal
             if (pointerCache.length === 0) {
@@ -431,9 +631,14 @@ function on_pointerup(event) {
             }
         }
 
-        // Check if a bullet was clicked
-        const bullet = event.target;
-        if (bullet.classList.contains("b")) select_bullet(bullet);
+        // Check if a bullet was clicked (hit-tested in JS, since the canvas has no elements),
+        // otherwise whether an annotation was; a pan that ends over a bullet selects nothing
+        const isClick = clickStartPt !== null && new Vector(event.clientX, event.clientY).dist(clickStartPt) <= CONFIG.click_max_move_screen;
+        if (pointerCache.length === 0) clickStartPt = null;
+        const i = isClick ? hitTestBullet(event.clientX, event.clientY) : null;
+        const annotation = isClick && event.target.closest ? event.target.closest("[data-annotation]") : null;
+        if (i !== null) selectBulletByIndex(i);
+        else if (annotation) showAnnotationDialog(ANNOTATIONS[annotation.dataset.annotation], Number(annotation.dataset.annotation));
 
         cleanupPointerCache();
         
@@ -455,228 +660,3359 @@ function handleWindowBlur() {
 
 /* ===== BULLET SELECTION AND PRODUCT VISUALIZATION ===== */
 
-// Select a bullet and highlight its products
-function select_bullet(bullet) {
-    // Deselect previously selected bullet
-    if (bullet_selected !== null) {
-        bullet_selected.removeAttribute("fill");
-        bullet_selected = null;
+// Select a bullet by its index; it does not need to be rendered
+function selectBulletByIndex(i) {
+    if (!(i >= 0 && i < DATA_JSON.bullets.length)) return;
+    selected_index = i;
+    keyboardFocus = false; // Set again by selectByKeyboard()
+    CLOSURE = computeClosure(i);
+    drawSelection();
+
+    // Show name, degrees and products in the info panel
+    showBulletInfo(i);
+    announceSelection(i);
+    scheduleUrlUpdate();
+}
+
+// Draw the highlights of the selected bullet
+// Called again after each render, since the rendered bullets are re-created
+function drawSelection() {
+    for (const bullet of g_plot.querySelectorAll("circle.b[fill]")) bullet.removeAttribute("fill");
+    g_prod.innerHTML = "";
+    drawClosure();
+    scheduleCanvasDraw(); // The canvas draws the selected bullet in red as well
+    const circle_focus = document.getElementById("circle_focus");
+    circle_focus.setAttribute("cx", "-1000");
+    if (selected_index === null) {
+        rect_selected.setAttribute("x", "-1000");
+        return;
+    }
+    const bullet = getBulletElement(selected_index);
+    if (bullet) bullet.setAttribute("fill", "red"); // Highlight selected bullet in red
+
+    // Focus ring of keyboard navigation, visible at any zoom level
+    if (keyboardFocus) {
+        const pos = getBulletPosition(selected_index);
+        circle_focus.setAttribute("cx", pos.x);
+        circle_focus.setAttribute("cy", pos.y);
+        circle_focus.setAttribute("r", Math.max(DATA_JSON.bullets[selected_index].r * 2, CONFIG.focus_ring_screen / camera.unit_svg));
+        circle_focus.setAttribute("stroke-width", 2 / camera.unit_svg);
     }
     
-    // Select new bullet
-    bullet_selected = bullet;
-    bullet_selected.setAttribute("fill", "red"); // Highlight selected bullet in red
-    
-    // Position selection rectangle
-    rect_selected.setAttribute("x", Math.round(bullet.getAttribute("cx")) - 0.5);
-    rect_selected.setAttribute("y", Math.round(bullet.getAttribute("cy")) - 0.5);
+    // Position selection rectangle around the bidegree
+    const deg = getBulletDegree(selected_index);
+    rect_selected.setAttribute("x", transX(deg.x, DATA_JSON, deg.y) - getColumnWidth() / 2);
+    rect_selected.setAttribute("y", deg.y - 0.5);
+    rect_selected.setAttribute("width", getColumnWidth());
 
-    // Clear previous product highlights
-    g_prod.innerHTML = "";
-    let prods = DATA_JSON["prods"][bullet.dataset.i];
+    let prods = DATA_JSON["prods"][selected_index];
     
-    // Show products as green circles
+    // Show products as green circles, except for hidden operations
     if (prods) {
         for (const j in prods) {
+            if (HIDDEN_PRODUCTS.has(getProductKey(prods[j]))) continue;
             for (const i of prods[j]['p']) {
                 const bullet2 = DATA_JSON["bullets"][i];
-                const circle_prod = '<circle class="p" cx="' + bullet2.x + '" cy="' + bullet2.y + '" r="' + (bullet2['r'] * 1.7) + '" fill="green" opacity="0.7" data-i=' + i + '></circle>';
+                const pos2 = getBulletPosition(i);
+                const circle_prod = '<circle class="p" cx="' + pos2.x + '" cy="' + pos2.y + '" r="' + (bullet2['r'] * 1.7) + '" fill="green" opacity="0.7" data-i=' + i + '></circle>';
                 g_prod.insertAdjacentHTML("beforeend", circle_prod);
             }
         }
     }
 }
 
-/* ===== ALTERNATIVE INPUT METHODS ===== */
+/* ===== PRODUCT CLOSURE ===== */
 
-// Handle mouse wheel zoom
-function on_wheel(event) {
-    let pivotScreen = new Vector(event.clientX, event.clientY);
-    let pivotSvg = camera.flip(pivotScreen);
-    camera.zoom(pivotSvg, event.deltaY < 0 ? CONFIG.camera_zoom_rate : 1 / CONFIG.camera_zoom_rate);
-    event.preventDefault();
+/*
+ * "Expand" mode of the info panel: follow the products of the selected generator
+ * repeatedly, e.g. along a whole h₀-tower, or backwards to the generators that
+ * multiply into it. Only the operations shown in the Products legend are followed.
+ * The paths are drawn in g_closure and listed in the info panel.
+ */
+
+const CLOSURE_MAX_DEPTH = 50;
+const CLOSURE_MAX_LISTED = 300;      // Reached generators listed in the info panel
+
+// Expand mode: { direction: "products" or "factors", depth }, or null when off
+var CLOSURE_SETTINGS = null;
+
+// Generators reached from the selection: { origin, direction, depth, reached: Map of index ->
+// { depth, from, op } (from: the generator it was reached from, op: the operation) }, or null
+var CLOSURE = null;
+
+// Product entries by target: index -> [{ src, prod }] (computed once per dataset)
+function getProductSources(data_json) {
+    data_json = data_json || DATA_JSON;
+    if (data_json.prodSources) return data_json.prodSources;
+    const sources = {};
+    for (const i in data_json.prods) {
+        for (const prod of data_json.prods[i]) {
+            for (const j of prod.p) {
+                if (!(j in sources)) sources[j] = [];
+                sources[j].push({ src: Number(i), prod: prod });
+            }
+        }
+    }
+    data_json.prodSources = sources;
+    return sources;
 }
 
-// Handle Mac trackpad pinch gestures
-function on_pinch(event) {
-    let pivotScreen = new Vector(event.clientX, event.clientY);
-    let pivotSvg = camera.flip(pivotScreen);
-    camera.zoom(pivotSvg, event.scale / prevPinchScale);
-    prevPinchScale = event.scale;
-    event.preventDefault();
+// Breadth-first search from generator i with the current settings; null when expand mode is off
+function computeClosure(i) {
+    if (!CLOSURE_SETTINGS || i === null) return null;
+    const forward = CLOSURE_SETTINGS.direction === "products";
+    const sources = forward ? null : getProductSources();
+    const reached = new Map();
+    let frontier = [i];
+    for (let depth = 1; depth <= CLOSURE_SETTINGS.depth && frontier.length; depth++) {
+        const next = [];
+        const visit = function(j, from, op) {
+            if (j === i || reached.has(j)) return;
+            reached.set(j, { depth: depth, from: from, op: op });
+            next.push(j);
+        };
+        for (const k of frontier) {
+            if (forward) {
+                for (const prod of DATA_JSON.prods[k] || []) {
+                    if (prod.l === 0 || HIDDEN_PRODUCTS.has(getProductKey(prod))) continue;
+                    for (const j of prod.p) visit(j, k, getProductName(k, prod));
+                }
+            } else {
+                for (const entry of sources[k] || []) {
+                    if (entry.prod.l === 0 || HIDDEN_PRODUCTS.has(getProductKey(entry.prod))) continue;
+                    visit(entry.src, k, getProductName(entry.src, entry.prod));
+                }
+            }
+        }
+        frontier = next;
+    }
+    return { origin: i, direction: CLOSURE_SETTINGS.direction, depth: CLOSURE_SETTINGS.depth, reached: reached };
 }
 
-// Handle keyboard navigation
-function on_key_down(event) {
-    if (!event.shiftKey) {
-        if (event.which === 39) camera.translate(new Vector(-CONFIG.camera_translate_pixels, 0)); // Right arrow
-        else if (event.which === 37) camera.translate(new Vector(CONFIG.camera_translate_pixels, 0)); // Left arrow
-        else if (event.which === 38) camera.translate(new Vector(0, -CONFIG.camera_translate_pixels)); // Up arrow
-        else if (event.which === 40) camera.translate(new Vector(0, CONFIG.camera_translate_pixels)); // Down arrow
-        else if (event.which === 189) { // Minus key - zoom out
-            const pivotSvg = new Vector(window.innerWidth / 2, window.innerHeight / 2);
-            camera.zoom(pivotSvg, 1 / CONFIG.camera_zoom_rate);
-        } else if (event.which === 187) { // Plus key - zoom in
-            const pivotSvg = new Vector(window.innerWidth / 2, window.innerHeight / 2);
-            camera.zoom(pivotSvg, CONFIG.camera_zoom_rate);
+// Recompute the closure of the selection, e.g. after the settings or the shown operations changed
+function updateClosure() {
+    CLOSURE = computeClosure(selected_index);
+    drawSelection();
+    if (selected_index !== null) showBulletInfo(selected_index);
+    scheduleUrlUpdate();
+}
+
+function setClosureSettings(settings) {
+    CLOSURE_SETTINGS = settings;
+    updateClosure();
+}
+
+// Draw the paths of the closure: one line per step and a circle per reached generator
+function drawClosure() {
+    const g_closure = document.getElementById("g_closure");
+    if (!CLOSURE) {
+        g_closure.innerHTML = "";
+        return;
+    }
+    let html = "";
+    CLOSURE.reached.forEach(function(step, j) {
+        const pos1 = getBulletPosition(step.from), pos2 = getBulletPosition(j);
+        html += '<line x1="' + pos1.x + '" y1="' + pos1.y + '" x2="' + pos2.x + '" y2="' + pos2.y + '"></line>';
+        html += '<circle cx="' + pos2.x + '" cy="' + pos2.y + '" r="' + DATA_JSON.bullets[j].r * 1.7 + '" stroke="none"></circle>';
+    });
+    g_closure.innerHTML = html;
+}
+
+// Expand controls and the reached generators, by depth, for the info panel
+function createClosureSection() {
+    const div = document.createElement("div");
+
+    const header = document.createElement("div");
+    header.className = "section";
+    header.textContent = "Expand";
+    div.appendChild(header);
+
+    const form = document.createElement("form");
+    form.className = "closure";
+    const direction = document.createElement("select");
+    [["products", "Products of it"], ["factors", "Factors into it"]].forEach(function(option) {
+        direction.add(new Option(option[1], option[0]));
+    });
+    const depth = document.createElement("input");
+    depth.type = "number";
+    depth.min = 1;
+    depth.max = CLOSURE_MAX_DEPTH;
+    depth.title = "Depth: number of products followed";
+    direction.value = CLOSURE_SETTINGS ? CLOSURE_SETTINGS.direction : "products";
+    depth.value = CLOSURE_SETTINGS ? CLOSURE_SETTINGS.depth : 3;
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Expand";
+    form.append(direction, depth, submit);
+    if (CLOSURE_SETTINGS) {
+        const clear = document.createElement("button");
+        clear.type = "button";
+        clear.textContent = "Clear";
+        clear.onclick = function() { setClosureSettings(null); };
+        form.appendChild(clear);
+    }
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const n = Math.round(Number(depth.value));
+        setClosureSettings({ direction: direction.value, depth: Math.min(Math.max(n || 1, 1), CLOSURE_MAX_DEPTH) });
+    };
+    div.appendChild(form);
+
+    if (!CLOSURE) return div;
+    if (CLOSURE.reached.size === 0) {
+        div.appendChild(document.createTextNode(CLOSURE.direction === "products" ? "No products" : "No factors"));
+        return div;
+    }
+
+    // One line per reached generator: "op · source → target", the reached generator is a link
+    const list = document.createElement("ul");
+    let listed = 0, lastDepth = 0;
+    for (const entry of CLOSURE.reached) {
+        if (listed++ === CLOSURE_MAX_LISTED) break;
+        const j = entry[0], step = entry[1];
+        if (step.depth !== lastDepth) {
+            lastDepth = step.depth;
+            const li = document.createElement("li");
+            li.className = "depth";
+            li.textContent = "Depth " + step.depth;
+            list.appendChild(li);
+        }
+        const li = document.createElement("li");
+        if (CLOSURE.direction === "products") {
+            li.appendChild(document.createTextNode(step.op + " · " + getBulletName(step.from) + " → "));
+            li.appendChild(createBulletLink(j, true));
+        } else {
+            li.appendChild(document.createTextNode(step.op + " · "));
+            li.appendChild(createBulletLink(j, true));
+            li.appendChild(document.createTextNode(" → " + getBulletName(step.from)));
         }
+        list.appendChild(li);
+    }
+    div.appendChild(list);
+    if (CLOSURE.reached.size > CLOSURE_MAX_LISTED) {
+        div.appendChild(document.createTextNode("First " + CLOSURE_MAX_LISTED + " of " + CLOSURE.reached.size + " generators"));
     }
+    return div;
 }
 
-/* ===== BULLET HOVER EFFECTS ===== */
+// Expand mode in the URL as expand=products,3 or expand=factors,3
+registerUrlParam("expand", function() {
+    return CLOSURE_SETTINGS ? CLOSURE_SETTINGS.direction + "," + CLOSURE_SETTINGS.depth : null;
+}, function(value) {
+    const parts = (value || "").split(",");
+    const depth = Number(parts[1]);
+    const valid = ["products", "factors"].includes(parts[0]) && depth >= 1;
+    setClosureSettings(valid ? { direction: parts[0], depth: Math.min(Math.round(depth), CLOSURE_MAX_DEPTH) } : null);
+});
+
+/* ===== MULTI-SELECTION AND SELECTION SETS ===== */
 
-// Show highlight circle when hovering over a bullet
-function on_pointerenter_bullet(event) {
-    let tgt = event.target;
-    circle_mouseon.setAttribute("cx", tgt.getAttribute("cx"));
-    circle_mouseon.setAttribute("cy", tgt.getAttribute("cy"));
-    circle_mouseon.setAttribute("r", Number(tgt.getAttribute("r")) * 1.3); // Slightly larger than bullet
+/*
+ * Shift-click toggles a generator in the multi-selection, and shift-drag draws a lasso
+ * that adds the generators inside it. The multi-selection can be saved as a named set
+ * with its own color; the sets are drawn as rings in g_sets, listed in div_sets, can be
+ * exported as (index, t−s, s) lists and are kept in localStorage per dataset.
+ */
+
+const MULTI_SELECTION_COLOR = "#3879d9";
+const SET_COLORS = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#17becf"];
+const SELECTION_SETS_STORAGE_PREFIX = "adams_viewer.sets.";
+
+// Indices of the generators in the multi-selection
+var MULTI_SELECTION = new Set();
+
+// Saved sets of the current dataset: [{ name, color, indices, hidden }]
+var SELECTION_SETS = [];
+
+// Lasso being drawn: { pointerId, points (screen coordinates) }, or null
+var lasso = null;
+
+// Start a lasso on shift-pointerdown instead of panning
+function startLasso(event) {
+    event.target.setPointerCapture(event.pointerId);
+    lasso = { pointerId: event.pointerId, points: [new Vector(event.clientX, event.clientY)] };
 }
 
-// Hide highlight circle when leaving bullet
-function on_pointerleave_bullet(event) {
-    circle_mouseon.setAttribute("cx", "-1000"); // Move off-screen
+function extendLasso(event) {
+    lasso.points.push(new Vector(event.clientX, event.clientY));
+    const points = lasso.points.map(function(pt) {
+        const world = camera.svg2world(camera.flip(pt));
+        return world.x + "," + world.y;
+    });
+    const polyline = document.getElementById("polyline_lasso");
+    polyline.setAttribute("points", points.join(" "));
+    polyline.setAttribute("stroke-width", 1.5 / camera.unit_svg);
 }
 
-/* ===== CUSTOM MODAL SYSTEM ===== */
+// A lasso that stayed within a few pixels is a shift-click
+function finishLasso() {
+    const points = lasso.points;
+    lasso = null;
+    document.getElementById("polyline_lasso").setAttribute("points", "");
 
-// Show custom modal dialog with proper sizing and no scrolling
-function showCustomModal(title, content) {
-    // Remove existing modal if any
-    const existingModal = document.getElementById('custom-modal');
-    if (existingModal) {
-        document.body.removeChild(existingModal);
+    const xs = points.map(function(pt) { return pt.x; }), ys = points.map(function(pt) { return pt.y; });
+    if (Math.max.apply(null, xs) - Math.min.apply(null, xs) < 4 && Math.max.apply(null, ys) - Math.min.apply(null, ys) < 4) {
+        const i = hitTestBullet(points[0].x, points[0].y);
+        if (i !== null) toggleMultiSelection(i);
+        return;
     }
 
-    // Create modal container
-    const modal = document.createElement('div');
-    modal.id = 'custom-modal';
-    modal.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        background: rgba(0,0,0,0.5);
-        display: flex;
-        justify-content: center;
-        align-items: center;
-        z-index: 10000;
-        font-family: sans-serif;
-    `;
+    if (!DATA_JSON.spatialIndex) return;
+    const polygon = points.map(function(pt) { return camera.svg2world(camera.flip(pt)); });
+    const rect = {
+        x_min: Math.min.apply(null, polygon.map(function(pt) { return pt.x; })),
+        x_max: Math.max.apply(null, polygon.map(function(pt) { return pt.x; })),
+        y_min: Math.min.apply(null, polygon.map(function(pt) { return pt.y; })),
+        y_max: Math.max.apply(null, polygon.map(function(pt) { return pt.y; }))
+    };
+    for (const i of querySpatialIndex(DATA_JSON.spatialIndex, rect, false).bullets) {
+        if (HIDE_DEAD_CLASSES && isDeadClass(i)) continue;
+        if (isPointInPolygon(getBulletPosition(i), polygon)) MULTI_SELECTION.add(i);
+    }
+    updateSelectionSets();
+}
 
-    // Create modal content with proper width control
-    const modalContent = document.createElement('div');
-    modalContent.style.cssText = `
-        background: white;
-        padding: 30px;
-        border-radius: 12px;
-        box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-        
-        /* PROPER WIDTH CONTROL */
-        width: 500px;               /* Optimal reading width */
-        max-width: 90vw;            /* Never exceed 90% of viewport */
-        min-width: 300px;           /* Never get too narrow */
-        
-        /* HEIGHT CONTROL */
-        max-height: 80vh;           /* Comfortable max height */
-        
-        /* LAYOUT */
-        display: flex;
-        flex-direction: column;
-        word-wrap: break-word;
-    `;
+// Even-odd rule
+function isPointInPolygon(pt, polygon) {
+    let inside = false;
+    for (let k = 0, l = polygon.length - 1; k < polygon.length; l = k++) {
+        const a = polygon[k], b = polygon[l];
+        if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
 
-    // Create title
-    const titleElement = document.createElement('h3');
-    titleElement.textContent = title;
-    titleElement.style.cssText = `
-        margin: 0 0 20px 0;
-        color: #333;
-        font-size: 22px;
-        font-weight: bold;
-        text-align: center;
-    `;
+function cancelLasso() {
+    lasso = null;
+    document.getElementById("polyline_lasso").setAttribute("points", "");
+}
 
-    // Create content area
-    const contentElement = document.createElement('div');
-    contentElement.textContent = content;
-    contentElement.style.cssText = `
-        color: #555;
-        line-height: 1.6;
-        white-space: pre-line;
-        user-select: text;
-        -webkit-user-select: text;
-        -moz-user-select: text;
-        -ms-user-select: text;
-        flex: 1;
-        margin-bottom: 25px;
-        font-size: 15px;
-        text-align: left;
-    `;
+function toggleMultiSelection(i) {
+    if (MULTI_SELECTION.has(i)) MULTI_SELECTION.delete(i);
+    else MULTI_SELECTION.add(i);
+    updateSelectionSets();
+}
 
-    // Create close button
-    const closeButton = document.createElement('button');
-    closeButton.textContent = 'Close';
-    closeButton.style.cssText = `
-        padding: 12px 24px;
-        background: #3879d9;
-        color: white;
-        border: none;
-        border-radius: 6px;
-        cursor: pointer;
-        font-size: 16px;
-        align-self: center;
-        min-width: 100px;
-    `;
-    closeButton.onclick = function() {
-        document.body.removeChild(modal);
+// Show the current state of the multi-selection and the sets
+function updateSelectionSets() {
+    drawSelectionSets();
+    updateSetsPanel();
+}
+
+// Rings around the generators of the visible sets, one radius per set, and a disc per
+// generator of the multi-selection (only those in the rendered region)
+function drawSelectionSets() {
+    const g_sets = document.getElementById("g_sets");
+    const rect = renderedView ? renderedView.rect : null;
+    let html = "";
+    const draw = function(i, attributes, scale) {
+        const pos = getBulletPosition(i);
+        if (!rect || pos.x < rect.x_min || pos.x > rect.x_max || pos.y < rect.y_min || pos.y > rect.y_max) return;
+        html += '<circle cx="' + pos.x + '" cy="' + pos.y + '" r="' + DATA_JSON.bullets[i].r * scale + '" ' + attributes + '></circle>';
     };
+    SELECTION_SETS.forEach(function(set, k) {
+        if (set.hidden) return;
+        for (const i of set.indices) draw(i, 'stroke="' + set.color + '"', 1.5 + 0.3 * k);
+    });
+    for (const i of MULTI_SELECTION) draw(i, 'fill="' + MULTI_SELECTION_COLOR + '" fill-opacity="0.35" stroke="none"', 1.6);
+    g_sets.innerHTML = html;
+}
 
-    // Assemble modal
-    modalContent.appendChild(titleElement);
-    modalContent.appendChild(contentElement);
-    modalContent.appendChild(closeButton);
-    modal.appendChild(modalContent);
-    document.body.appendChild(modal);
+// Panel with the multi-selection and one row per set
+function updateSetsPanel() {
+    const div_sets = document.getElementById("div_sets");
+    div_sets.innerHTML = "";
+    div_sets.style.display = MULTI_SELECTION.size || SELECTION_SETS.length ? "block" : "none";
 
-    // Close modal when clicking outside content
-    modal.onclick = function(event) {
-        if (event.target === modal) {
-            document.body.removeChild(modal);
-        }
+    const header = document.createElement("div");
+    header.className = "header";
+    header.textContent = "Selection sets";
+    div_sets.appendChild(header);
+
+    if (MULTI_SELECTION.size) {
+        const row = document.createElement("div");
+        row.className = "row";
+        row.appendChild(document.createTextNode(MULTI_SELECTION.size + " selected "));
+        row.appendChild(createSetsPanelLink("Fit", function() { fitBullets(Array.from(MULTI_SELECTION)); }));
+        row.appendChild(createSetsPanelLink("Save as set", showSaveSetDialog));
+        row.appendChild(createSetsPanelLink("Clear", function() {
+            MULTI_SELECTION.clear();
+            updateSelectionSets();
+        }));
+        div_sets.appendChild(row);
+    }
+
+    SELECTION_SETS.forEach(function(set) {
+        const row = document.createElement("label");
+        row.className = "row";
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = !set.hidden;
+        checkbox.onchange = function() {
+            set.hidden = !checkbox.checked;
+            saveSelectionSets();
+            drawSelectionSets();
+        };
+        row.appendChild(checkbox);
+        row.insertAdjacentHTML("beforeend", '<svg width="14" height="10"><circle cx="7" cy="5" r="4" fill="none" stroke="' + set.color + '" stroke-width="2"></circle></svg>');
+        row.appendChild(document.createTextNode(set.name + " (" + set.indices.length + ") "));
+        row.appendChild(createSetsPanelLink("Fit", function() { fitBullets(set.indices); }));
+        row.appendChild(createSetsPanelLink("Export", function() { showExportSetDialog(set); }));
+        row.appendChild(createSetsPanelLink("Delete", function() {
+            SELECTION_SETS.splice(SELECTION_SETS.indexOf(set), 1);
+            saveSelectionSets();
+            updateSelectionSets();
+        }));
+        div_sets.appendChild(row);
+    });
+}
+
+function createSetsPanelLink(text, action) {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = text;
+    link.onclick = function(event) {
+        event.preventDefault();
+        action();
     };
+    return link;
+}
 
-    // Close with Escape key
-    const keyHandler = function(event) {
-        if (event.key === 'Escape') {
-            document.body.removeChild(modal);
-            document.removeEventListener('keydown', keyHandler);
-        }
+// Dialog to name the multi-selection and save it as a set
+function showSaveSetDialog() {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+
+    const nameLabel = document.createElement("label");
+    nameLabel.textContent = "Name";
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.value = "Set " + (SELECTION_SETS.length + 1);
+    nameLabel.appendChild(nameInput);
+    form.appendChild(nameLabel);
+
+    const colorLabel = document.createElement("label");
+    colorLabel.textContent = "Color";
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    const used = SELECTION_SETS.map(function(set) { return set.color; });
+    colorInput.value = SET_COLORS.find(function(color) { return !used.includes(color); }) || SET_COLORS[SELECTION_SETS.length % SET_COLORS.length];
+    colorLabel.appendChild(colorInput);
+    form.appendChild(colorLabel);
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Save " + MULTI_SELECTION.size + " generators";
+    form.appendChild(submit);
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        closeCustomModal();
+        SELECTION_SETS.push({
+            name: nameInput.value.trim() || "Set " + (SELECTION_SETS.length + 1),
+            color: colorInput.value,
+            indices: Array.from(MULTI_SELECTION).sort(function(a, b) { return a - b; }),
+            hidden: false
+        });
+        MULTI_SELECTION.clear();
+        saveSelectionSets();
+        updateSelectionSets();
     };
-    document.addEventListener('keydown', keyHandler);
+
+    showCustomModal("Save selection", form);
 }
 
-/* ===== CONTEXT MENU SYSTEM ===== */
+// A set as CSV lines "index,t−s,s", ordered by stem
+function formatSelectionSet(set) {
+    const rows = set.indices.map(function(i) {
+        const deg = getBulletDegree(i);
+        return { i: i, x: deg.x, y: deg.y };
+    });
+    rows.sort(function(a, b) { return a.x - b.x || a.y - b.y || a.i - b.i; });
+    return ["index,t-s,s"].concat(rows.map(function(row) { return row.i + "," + row.x + "," + row.y; })).join("\n") + "\n";
+}
 
-// Show context menu on right-click
-function on_contextmenu(event) {
-    if (!event.ctrlKey) { // Allow Ctrl+right-click for browser context menu
-        let posX = event.clientX;
-        let posY = event.clientY;
+function showExportSetDialog(set) {
+    const form = document.createElement("form");
+    form.className = "modal-form";
 
-        // Position menu based on which element was right-clicked
-        if (event.target.id === "button_cm") {
-            div_menu_style.left = null;
-            div_menu_style.right = (window.innerWidth - posX) + "px"; // Position relative to right edge
+    const output = document.createElement("textarea");
+    output.className = "code";
+    output.readOnly = true;
+    output.value = formatSelectionSet(set);
+    form.appendChild(output);
+
+    const copyButton = document.createElement("button");
+    copyButton.type = "button";
+    copyButton.textContent = "Copy to clipboard";
+    copyButton.onclick = function() {
+        output.select();
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(output.value);
         } else {
-            div_menu_style.left = posX + "px";
-            div_menu_style.right = null; // Position relative to left edge
+            document.execCommand("copy");
         }
-        div_menu_style.top = posY + "px";
-        div_menu_style.visibility = "visible";
-        event.preventDefault(); // Prevent browser context menu
-    }
+    };
+    form.appendChild(copyButton);
+
+    const downloadButton = document.createElement("button");
+    downloadButton.type = "button";
+    downloadButton.textContent = "Download .csv";
+    downloadButton.onclick = function() {
+        const name = set.name.replace(/[^\w-]+/g, "_");
+        downloadFile(output.value, CURRENT_DATASET.id + "_" + name + ".csv", "text/csv");
+    };
+    form.appendChild(downloadButton);
+
+    showCustomModal("Export " + set.name, form);
+}
+
+// localStorage may be unavailable (e.g. disabled, or for some file:// pages): the sets then last for the session
+function saveSelectionSets() {
+    try {
+        const key = SELECTION_SETS_STORAGE_PREFIX + CURRENT_DATASET.id;
+        if (SELECTION_SETS.length) localStorage.setItem(key, JSON.stringify(SELECTION_SETS));
+        else localStorage.removeItem(key);
+    } catch (error) {
+        console.warn("Selection sets could not be saved:", error.message);
+    }
+}
+
+// Read the sets of the current dataset, dropping indices that it does not have
+function loadSelectionSets() {
+    SELECTION_SETS = [];
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(SELECTION_SETS_STORAGE_PREFIX + CURRENT_DATASET.id));
+    } catch (error) {
+        console.warn("Selection sets could not be read:", error.message);
+    }
+    if (!Array.isArray(stored)) return;
+    const n = DATA_JSON.bullets.length;
+    for (const set of stored) {
+        if (!set || !Array.isArray(set.indices)) continue;
+        SELECTION_SETS.push({
+            name: String(set.name),
+            color: /^#[0-9a-fA-F]{6}$/.test(set.color) ? set.color : SET_COLORS[0], // Goes into the SVG markup
+            indices: set.indices.filter(function(i) { return Number.isInteger(i) && i >= 0 && i < n; }),
+            hidden: !!set.hidden
+        });
+    }
+}
+
+/* ===== ANNOTATIONS ===== */
+
+/*
+ * User notes drawn in g_labels: text labels, arrows (e.g. a hypothetical d₂) and notes whose
+ * text shows on hover or click. Each annotation is anchored to a bidegree (t−s, s), or to a
+ * generator of that bidegree, so that it follows the stacking. They are kept in localStorage
+ * per dataset and can be exported and imported as JSON files to share working notes.
+ */
+
+const ANNOTATION_TYPES = { label: "Label", arrow: "Arrow", note: "Note" };
+const ANNOTATION_DEFAULT_COLOR = "#333333";
+const ANNOTATIONS_STORAGE_PREFIX = "adams_viewer.annotations.";
+
+// Annotations of the current dataset: [{ type, x, y, i (optional generator), text, x2, y2 (arrows), color }]
+var ANNOTATIONS = [];
+var ANNOTATIONS_VISIBLE = true;
+
+// World position where the context menu was opened, for "Annotate here"
+var contextMenuWorld = null;
+
+// Anchor of an annotation in world coordinates
+function getAnnotationPosition(annotation) {
+    if (annotation.i !== undefined) return getBulletPosition(annotation.i);
+    return new Vector(transX(annotation.x, DATA_JSON, annotation.y), annotation.y);
+}
+
+// Draw the annotations; g_labels is flipped, so y is negated
+function drawAnnotations() {
+    let html = "";
+    ANNOTATIONS.forEach(function(annotation, k) {
+        const pos = getAnnotationPosition(annotation);
+        const color = escapeHtml(annotation.color);
+        const text = escapeHtml(annotation.text);
+        html += '<g data-annotation="' + k + '" fill="' + color + '" stroke="' + color + '">';
+        if (annotation.type === "arrow") {
+            const target = new Vector(transX(annotation.x2, DATA_JSON, annotation.y2), annotation.y2);
+            const len = pos.dist(target);
+            if (len > 0) {
+                const u = target.sub(pos).mul(1 / len);                    // Unit vector along the arrow
+                const b = target.sub(u.mul(0.15));
+                const head = 0.2;                                          // Arrowhead size (world units)
+                const left = b.sub(u.mul(head)).add(new Vector(-u.y, u.x).mul(head / 2));
+                const right = b.sub(u.mul(head)).add(new Vector(u.y, -u.x).mul(head / 2));
+                html += '<path fill="none" stroke-width="0.05" stroke-dasharray="0.15 0.08" d="M' + pos.x + ' ' + -pos.y + ' L' + b.x + ' ' + -b.y +
+                    ' M' + left.x + ' ' + -left.y + ' L' + b.x + ' ' + -b.y + ' L' + right.x + ' ' + -right.y + '"></path>';
+            }
+        }
+        if (annotation.type === "note") {
+            html += '<text x="' + pos.x + '" y="' + -pos.y + '" dx="0.3em" dy="-0.3em" text-anchor="start" stroke="none"><title>' + text + '</title>✎</text>';
+        } else if (annotation.text) {
+            html += '<text x="' + pos.x + '" y="' + -pos.y + '" dx="0.4em" dy="-0.4em" text-anchor="start" stroke="none">' + escapeHtml(annotation.text.split("\n")[0]) + '</text>';
+        }
+        html += '</g>';
+    });
+    g_labels.innerHTML = html;
+    g_labels.style.display = ANNOTATIONS_VISIBLE ? "" : "none";
+}
+
+// Keep the annotation text at a constant size on the screen
+function updateAnnotationScale(unit) {
+    g_labels.setAttribute("font-size", CONFIG.annotation_font_screen / unit);
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function updateAnnotations() {
+    saveAnnotations();
+    drawAnnotations();
+}
+
+// Dialog to create (k undefined) or edit annotation k
+function showAnnotationDialog(annotation, k) {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+
+    const anchor = document.createElement("div");
+    anchor.className = "note";
+    anchor.textContent = "At " + (annotation.i !== undefined ? getBulletName(annotation.i) + " " : "") + "(" + annotation.x + ", " + annotation.y + ")";
+    form.appendChild(anchor);
+
+    const typeLabel = document.createElement("label");
+    typeLabel.textContent = "Type";
+    const typeSelect = document.createElement("select");
+    for (const type in ANNOTATION_TYPES) typeSelect.add(new Option(ANNOTATION_TYPES[type], type));
+    typeSelect.value = annotation.type;
+    typeLabel.appendChild(typeSelect);
+    form.appendChild(typeLabel);
+
+    const colorLabel = document.createElement("label");
+    colorLabel.textContent = "Color";
+    const colorInput = document.createElement("input");
+    colorInput.type = "color";
+    colorInput.value = annotation.color;
+    colorLabel.appendChild(colorInput);
+    form.appendChild(colorLabel);
+
+    const textLabel = document.createElement("label");
+    textLabel.className = "wide";
+    textLabel.textContent = "Text";
+    const textInput = document.createElement("textarea");
+    textInput.rows = 3;
+    textInput.value = annotation.text;
+    textLabel.appendChild(textInput);
+    form.appendChild(textLabel);
+
+    // Arrow target, e.g. one stem left and two filtrations up for a d₂
+    const x2Input = createNumberField(form, "Arrow to t−s", "x2", annotation.x2 !== undefined ? annotation.x2 : annotation.x - 1);
+    const y2Input = createNumberField(form, "Arrow to s", "y2", annotation.y2 !== undefined ? annotation.y2 : annotation.y + 2);
+    const showTarget = function() {
+        x2Input.parentNode.style.display = y2Input.parentNode.style.display = typeSelect.value === "arrow" ? "" : "none";
+    };
+    typeSelect.onchange = showTarget;
+    showTarget();
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Save";
+    form.appendChild(submit);
+
+    if (k !== undefined) {
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.textContent = "Delete";
+        remove.onclick = function() {
+            closeCustomModal();
+            ANNOTATIONS.splice(k, 1);
+            updateAnnotations();
+        };
+        form.appendChild(remove);
+    }
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const edited = { type: typeSelect.value, x: annotation.x, y: annotation.y, text: textInput.value, color: colorInput.value };
+        if (annotation.i !== undefined) edited.i = annotation.i;
+        if (edited.type === "arrow") {
+            edited.x2 = parseInt(x2Input.value);
+            edited.y2 = parseInt(y2Input.value);
+            if (isNaN(edited.x2) || isNaN(edited.y2)) {
+                showFormError(form, "Please enter the bidegree the arrow points to.");
+                return;
+            }
+        }
+        closeCustomModal();
+        if (k === undefined) ANNOTATIONS.push(edited);
+        else ANNOTATIONS[k] = edited;
+        ANNOTATIONS_VISIBLE = true;
+        updateAnnotations();
+    };
+
+    showCustomModal(k === undefined ? "Add annotation" : "Edit annotation", form);
+}
+
+// New annotation on generator i
+function annotateBullet(i) {
+    const deg = getBulletDegree(i);
+    showAnnotationDialog({ type: "label", x: deg.x, y: deg.y, i: i, text: "", color: ANNOTATION_DEFAULT_COLOR });
+}
+
+// New annotation where the context menu was opened: on the generator there, or on the nearest bidegree
+function annotateAtContextMenu() {
+    div_menu_style.visibility = "hidden";
+    const pt = contextMenuWorld || camera.svg2world(camera.flip(new Vector(window.innerWidth / 2, window.innerHeight / 2)));
+    const screen = contextMenuWorld ? contextMenuWorld.screen : null;
+    const i = screen ? hitTestBullet(screen.x, screen.y) : null;
+    if (i !== null) {
+        annotateBullet(i);
+        return;
+    }
+    const y = Math.max(0, Math.round(pt.y));
+    showAnnotationDialog({ type: "label", x: Math.round(untransX(pt.x, y)), y: y, text: "", color: ANNOTATION_DEFAULT_COLOR });
+}
+
+// List of the annotations, with import and export
+function showAnnotationsDialog() {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+
+    const visibleLabel = document.createElement("label");
+    visibleLabel.className = "checkbox";
+    const visibleCheckbox = document.createElement("input");
+    visibleCheckbox.type = "checkbox";
+    visibleCheckbox.checked = ANNOTATIONS_VISIBLE;
+    visibleCheckbox.onchange = function() {
+        ANNOTATIONS_VISIBLE = visibleCheckbox.checked;
+        drawAnnotations();
+    };
+    visibleLabel.appendChild(visibleCheckbox);
+    visibleLabel.appendChild(document.createTextNode(" Show annotations"));
+    form.appendChild(visibleLabel);
+
+    const list = document.createElement("div");
+    list.className = "wide annotation-list";
+    if (ANNOTATIONS.length === 0) list.textContent = "No annotations yet: use \"Annotate here\" in the menu, or \"Annotate\" in the panel of a generator.";
+    ANNOTATIONS.forEach(function(annotation, k) {
+        const row = document.createElement("a");
+        row.href = "#";
+        row.textContent = ANNOTATION_TYPES[annotation.type] + " (" + annotation.x + ", " + annotation.y + ") " + annotation.text.split("\n")[0];
+        row.onclick = function(event) {
+            event.preventDefault();
+            const pos = getAnnotationPosition(annotation);
+            setCameraPosition(null, pos.x, pos.y);
+            showAnnotationDialog(annotation, k);
+        };
+        list.appendChild(row);
+    });
+    form.appendChild(list);
+
+    const exportButton = document.createElement("button");
+    exportButton.type = "button";
+    exportButton.textContent = "Export JSON";
+    exportButton.disabled = ANNOTATIONS.length === 0;
+    exportButton.onclick = function() {
+        const json = JSON.stringify({ dataset: CURRENT_DATASET.id, annotations: ANNOTATIONS }, null, 2);
+        downloadFile(json, CURRENT_DATASET.id + "_annotations.json", "application/json");
+    };
+    form.appendChild(exportButton);
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.style.display = "none";
+    fileInput.onchange = function() {
+        if (!fileInput.files.length) return;
+        fileInput.files[0].text().then(importAnnotations).catch(function(error) {
+            showCustomModal("Import failed", error.message);
+        });
+    };
+    form.appendChild(fileInput);
+
+    const importButton = document.createElement("button");
+    importButton.type = "button";
+    importButton.textContent = "Import JSON";
+    importButton.onclick = function() { fileInput.click(); };
+    form.appendChild(importButton);
+
+    if (ANNOTATIONS.length) {
+        const clearButton = document.createElement("button");
+        clearButton.type = "button";
+        clearButton.textContent = "Delete all";
+        clearButton.onclick = confirmDeleteAnnotations;
+        form.appendChild(clearButton);
+    }
+
+    showCustomModal("Annotations", form);
+}
+
+// Ask before deleting all annotations of the dataset; both answers go back to the list
+function confirmDeleteAnnotations() {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+
+    const question = document.createElement("div");
+    question.className = "wide";
+    question.textContent = "Delete all " + ANNOTATIONS.length + " annotations of this dataset?";
+    form.appendChild(question);
+
+    const remove = document.createElement("button");
+    remove.type = "submit";
+    remove.textContent = "Delete all";
+    form.appendChild(remove);
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    cancel.onclick = showAnnotationsDialog;
+    form.appendChild(cancel);
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        ANNOTATIONS = [];
+        updateAnnotations();
+        showAnnotationsDialog();
+    };
+
+    showCustomModal("Delete all annotations", form);
+}
+
+// Add the annotations of an exported JSON file to those of the current dataset
+function importAnnotations(json) {
+    const parsed = JSON.parse(json);
+    const entries = Array.isArray(parsed) ? parsed : parsed && parsed.annotations;
+    if (!Array.isArray(entries)) throw new Error("The file has no \"annotations\" list.");
+    const imported = entries.map(normalizeAnnotation).filter(Boolean);
+    ANNOTATIONS = ANNOTATIONS.concat(imported);
+    ANNOTATIONS_VISIBLE = true;
+    updateAnnotations();
+    let message = imported.length + " annotations imported.";
+    if (imported.length < entries.length) message += " " + (entries.length - imported.length) + " invalid entries were skipped.";
+    if (parsed.dataset && parsed.dataset !== CURRENT_DATASET.id) message += " They were exported from " + parsed.dataset + ".";
+    showCustomModal("Annotations imported", message);
+}
+
+// Check an annotation read from storage or a file; returns a clean copy, or null if it is invalid
+// The generator is dropped if the current data has no generator i in that bidegree
+function normalizeAnnotation(entry) {
+    if (!entry || !(entry.type in ANNOTATION_TYPES) || !Number.isInteger(entry.x) || !Number.isInteger(entry.y)) return null;
+    const annotation = {
+        type: entry.type,
+        x: entry.x,
+        y: entry.y,
+        text: typeof entry.text === "string" ? entry.text : "",
+        color: /^#[0-9a-fA-F]{6}$/.test(entry.color) ? entry.color : ANNOTATION_DEFAULT_COLOR
+    };
+    if (entry.type === "arrow") {
+        if (!Number.isInteger(entry.x2) || !Number.isInteger(entry.y2)) return null;
+        annotation.x2 = entry.x2;
+        annotation.y2 = entry.y2;
+    }
+    if (Number.isInteger(entry.i) && entry.i >= 0 && entry.i < DATA_JSON.bullets.length) {
+        const deg = getBulletDegree(entry.i);
+        if (deg.x === entry.x && deg.y === entry.y) annotation.i = entry.i;
+    }
+    return annotation;
+}
+
+// localStorage may be unavailable: the annotations then last for the session
+function saveAnnotations() {
+    try {
+        const key = ANNOTATIONS_STORAGE_PREFIX + CURRENT_DATASET.id;
+        if (ANNOTATIONS.length) localStorage.setItem(key, JSON.stringify(ANNOTATIONS));
+        else localStorage.removeItem(key);
+    } catch (error) {
+        console.warn("Annotations could not be saved:", error.message);
+    }
+}
+
+function loadAnnotations() {
+    ANNOTATIONS = [];
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(ANNOTATIONS_STORAGE_PREFIX + CURRENT_DATASET.id));
+    } catch (error) {
+        console.warn("Annotations could not be read:", error.message);
+    }
+    if (Array.isArray(stored)) ANNOTATIONS = stored.map(normalizeAnnotation).filter(Boolean);
+}
+
+/* ===== GENERATOR NAMES AND METADATA ===== */
+
+/* 
+ * Optional naming fields in the data format:
+ * - bullets[i].name  : short name of the generator, e.g. "h₀" or "b₁₁"
+ * - bullets[i].label : longer description shown below the name
+ * - prods[i][j].name : the operation of this product line, e.g. "a₀" or "h₁"
+ * - multipliers      : the operations, keyed by the "l" field of the product entries,
+ *                      e.g. { "1": { name: "a₀" }, "2": { name: "h₀", color: "blue", dash: "0.1 0.05" } }
+ *                      (color and dash are optional and used for the structure lines)
+ * Without these fields, generators are named by bidegree and operations are
+ * recognized from the degree of the product. Entries with l = 0 are never drawn.
+ */
+
+// Index the bullets by bidegree: "x,y" -> list of bullet indices ordered by position
+function buildBidegreeIndex(data_json) {
+    const index = {};
+    data_json.bullets.forEach(function(bullet, i) {
+        const key = Math.round(bullet.x) + "," + Math.round(bullet.y);
+        if (!(key in index)) index[key] = [];
+        index[key].push(i);
+    });
+    for (const key in index) {
+        index[key].sort(function(i, j) { return data_json.bullets[i].x - data_json.bullets[j].x || i - j; });
+    }
+    return index;
+}
+
+// Bullet indices in bidegree (x, y) of the current dataset
+function getBulletsAt(x, y) {
+    return DATA_JSON.bidegrees[x + "," + y] || [];
+}
+
+// Bidegree of a bullet: x = t-s (stem), y = s (filtration), t = x + y
+function getBulletDegree(i, data_json) {
+    const bullet = (data_json || DATA_JSON).bullets[i];
+    const x = Math.round(bullet.x), y = Math.round(bullet.y);
+    return { x: x, y: y, t: x + y };
+}
+
+// Name of a generator: the name from the data, or x_{t-s,s} (with a counter if the bidegree has several)
+function getBulletName(i, data_json) {
+    data_json = data_json || DATA_JSON;
+    const bullet = data_json.bullets[i];
+    if (bullet.name) return bullet.name;
+    const deg = getBulletDegree(i, data_json);
+    const gens = data_json.bidegrees[deg.x + "," + deg.y] || [];
+    if (gens.length > 1) return "x_{" + deg.x + "," + deg.y + "," + (gens.indexOf(Number(i)) + 1) + "}";
+    return "x_{" + deg.x + "," + deg.y + "}";
+}
+
+// Standard multipliers of the Adams E₂ page for the sphere, by (t-s, s) degree
+function getStandardMultipliers(prime) {
+    if (prime === 2) {
+        return [{ name: "h₀", x: 0, y: 1 }, { name: "h₁", x: 1, y: 1 }, { name: "h₂", x: 3, y: 1 }, { name: "h₃", x: 7, y: 1 }];
+    }
+    const q = 2 * (prime - 1);
+    return [{ name: "a₀", x: 0, y: 1 }, { name: "h₀", x: q - 1, y: 1 }];
+}
+
+// Name of the operation of a product line from bullet i to the bullets in prod.p
+function getProductName(i, prod, data_json) {
+    data_json = data_json || DATA_JSON;
+    if (prod.name) return prod.name;
+    if (data_json.multipliers && data_json.multipliers[prod.l] && data_json.multipliers[prod.l].name) {
+        return data_json.multipliers[prod.l].name;
+    }
+    if (prod.p.length > 0) {
+        const src = getBulletDegree(i, data_json), tgt = getBulletDegree(prod.p[0], data_json);
+        const multiplier = getStandardMultipliers(data_json.prime).find(function(m) {
+            return m.x === tgt.x - src.x && m.y === tgt.y - src.y;
+        });
+        if (multiplier) return multiplier.name;
+        return "(" + (tgt.x - src.x) + "," + (tgt.y - src.y) + ")";
+    }
+    return "?";
+}
+
+/* ===== PRODUCT TYPES AND LEGEND ===== */
+
+/* 
+ * Structure lines are grouped by operation, that is by the l of their product entry (see
+ * getProductKey): each operation gets its own <g data-op="..."> inside g_strtlines with its own
+ * color and dash pattern, and a checkbox in the legend panel to show or hide it. The name of the
+ * operation (see getProductName) is only its label.
+ */
+
+// Default colors and dash patterns (world units), assigned to operations in order
+const PRODUCT_COLORS = ["black", "#d62728", "#1f77b4", "#2ca02c", "#9467bd", "#ff7f0e", "#8c564b", "#e377c2"];
+const PRODUCT_DASHES = ["", "", "0.12 0.06", "0.04 0.04", "0.12 0.04 0.04 0.04"];
+
+// Operations hidden by the user (by key)
+var HIDDEN_PRODUCTS = new Set();
+
+// Key of the operation of a product entry
+function getProductKey(prod) {
+    return String(prod.l);
+}
+
+// Operations of the drawn products of a dataset, in legend order: [{ key, name, count }]
+// The name is the most common name of the entries, or several names if they differ
+// Standard multipliers come first, the others follow in alphabetical order
+function collectProductTypes(data_json) {
+    const types = {};
+    for (const i in data_json.prods) {
+        for (const prod of data_json.prods[i]) {
+            if (prod.l == 0) continue;
+            const key = getProductKey(prod);
+            if (!(key in types)) types[key] = { key: key, names: {}, count: 0 };
+            const name = getProductName(i, prod, data_json);
+            types[key].names[name] = (types[key].names[name] || 0) + prod.p.length;
+            types[key].count += prod.p.length;
+        }
+    }
+    const list = Object.values(types).map(function(type) {
+        const names = Object.keys(type.names).sort(function(a, b) { return type.names[b] - type.names[a]; });
+        return { key: type.key, name: names.join(" / "), count: type.count };
+    });
+    const standard = getStandardMultipliers(data_json.prime).map(function(m) { return m.name; });
+    return list.sort(function(a, b) {
+        const ia = standard.indexOf(a.name), ib = standard.indexOf(b.name);
+        if (ia !== -1 || ib !== -1) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+        return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+    });
+}
+
+// Color and dash pattern of an operation: from DATA_JSON.multipliers if given, else by legend position
+function getProductStyle(key) {
+    const index = DATA_JSON.productTypes.findIndex(function(type) { return type.key === key; });
+    const style = {
+        color: PRODUCT_COLORS[index % PRODUCT_COLORS.length],
+        dash: PRODUCT_DASHES[Math.floor(index / PRODUCT_COLORS.length) % PRODUCT_DASHES.length]
+    };
+    // Keep the original look (solid black) when there is a single operation
+    if (DATA_JSON.productTypes.length === 1) style.color = "black";
+    const multiplier = DATA_JSON.multipliers && DATA_JSON.multipliers[key];
+    if (multiplier) {
+        if (multiplier.color) style.color = multiplier.color;
+        if ("dash" in multiplier) style.dash = multiplier.dash;
+    }
+    return style;
+}
+
+// The group of g_strtlines holding the lines of an operation, created on first use
+function getProductGroup(key) {
+    for (const group of g_strtlines.children) {
+        if (group.dataset.op === key) return group;
+    }
+    const style = getProductStyle(key);
+    const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    group.dataset.op = key;
+    group.setAttribute("stroke", style.color);
+    if (style.dash) group.setAttribute("stroke-dasharray", style.dash);
+    g_strtlines.appendChild(group);
+    return group;
+}
+
+// Build the legend panel: one row per operation with a checkbox, a line sample and the count
+function createLegend() {
+    const div_legend = document.getElementById("div_legend");
+    div_legend.innerHTML = "";
+    const types = DATA_JSON.productTypes || [];
+    if (types.length === 0 && !COMPARISON) {
+        div_legend.style.display = "none";
+        return;
+    }
+
+    if (types.length > 0) {
+        const header = document.createElement("div");
+        header.className = "header";
+        header.textContent = "Products";
+        header.onclick = function() { div_legend.classList.toggle("collapsed"); };
+        div_legend.appendChild(header);
+    }
+
+    for (const type of types) {
+        const style = getProductStyle(type.key);
+        const row = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = !HIDDEN_PRODUCTS.has(type.key);
+        checkbox.onchange = function() {
+            if (checkbox.checked) HIDDEN_PRODUCTS.delete(type.key);
+            else HIDDEN_PRODUCTS.add(type.key);
+            updateVisibility();
+            updateClosure(); // Refresh the product highlights and the closure, which only follows shown operations
+        };
+        row.appendChild(checkbox);
+
+        // Line sample in the style of the operation (dash pattern scaled from world units)
+        // Built with setAttribute as the color and dash may come from the data file
+        const sample = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        sample.setAttribute("width", 24);
+        sample.setAttribute("height", 10);
+        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        line.setAttribute("x1", 2);
+        line.setAttribute("y1", 5);
+        line.setAttribute("x2", 22);
+        line.setAttribute("y2", 5);
+        line.setAttribute("stroke", style.color);
+        line.setAttribute("stroke-width", 2);
+        if (style.dash) line.setAttribute("stroke-dasharray", style.dash.split(" ").map(function(d) { return Number(d) * 50; }).join(" "));
+        sample.appendChild(line);
+        row.appendChild(sample);
+
+        const text = document.createElement("span");
+        text.textContent = type.name + " (" + type.count + ")";
+        row.appendChild(text);
+        div_legend.appendChild(row);
+    }
+    if (COMPARISON) appendComparisonLegend(div_legend);
+    div_legend.style.display = "block";
+}
+
+// Legend rows of the comparison: the overlaid dataset, the number of classes without a counterpart
+function appendComparisonLegend(div_legend) {
+    const header = document.createElement("div");
+    header.className = "header";
+    header.textContent = "Comparison";
+    header.onclick = function() { div_legend.classList.toggle("collapsed"); };
+    div_legend.appendChild(header);
+
+    const rows = [
+        ['<circle cx="12" cy="5" r="4" fill="none" stroke="' + COMPARE_COLOR + '" stroke-width="1.5"></circle>',
+            getDatasetTitle(COMPARISON.dataset) + (COMPARISON.rescale ? " (t−s × " + Math.round(COMPARISON.data.factor * 1000) / 1000 + ")" : "")],
+        ['<circle cx="12" cy="5" r="5" fill="' + UNMATCHED_COLOR + '"></circle>',
+            COMPARISON.generations ? COMPARISON.onlyHere.size + " added, " + COMPARISON.onlyThere.size + " removed"
+                : COMPARISON.onlyHere.size + " only here, " + COMPARISON.onlyThere.size + " only there"]
+    ];
+    if (COMPARISON.generations) {
+        rows.push(['<line x1="2" y1="3" x2="22" y2="3" stroke="' + ADDED_COLOR + '" stroke-width="3"></line>' +
+            '<line x1="2" y1="8" x2="22" y2="8" stroke="' + REMOVED_COLOR + '" stroke-width="3"></line>',
+            "+" + COMPARISON.linesOnlyHere.size + " / −" + COMPARISON.linesOnlyThere.size + " structure lines"]);
+    }
+    for (const row of rows) {
+        const div = document.createElement("div");
+        div.className = "row";
+        div.insertAdjacentHTML("beforeend", '<svg width="24" height="10">' + row[0] + '</svg>');
+        div.appendChild(document.createTextNode(row[1]));
+        div_legend.appendChild(div);
+    }
+
+    const summary = document.createElement("a");
+    summary.className = "row";
+    summary.href = "#";
+    summary.textContent = "Summary";
+    summary.onclick = function(event) {
+        event.preventDefault();
+        showComparisonSummary();
+    };
+    div_legend.appendChild(summary);
+
+    const stop = document.createElement("a");
+    stop.className = "row";
+    stop.href = "#";
+    stop.textContent = "Stop comparing";
+    stop.onclick = function(event) {
+        event.preventDefault();
+        stopComparison();
+    };
+    div_legend.appendChild(stop);
+}
+
+// Products shown in the URL by their key, as hide=1,2
+registerUrlParam("hide", function() {
+    return Array.from(HIDDEN_PRODUCTS).join(",");
+}, function(value) {
+    HIDDEN_PRODUCTS = new Set(value ? value.split(",") : []);
+    createLegend();
+    updateVisibility();
+    updateClosure();
+});
+
+/* ===== DIFFERENTIALS AND ADAMS PAGES ===== */
+
+/* 
+ * Optional field of the data format:
+ * - diffs : list of Adams differentials { src: i, tgt: [j, ...], r: 2 } meaning d_r(x_i) = x_j + ...
+ *           (tgt may also be a single index). d_r goes from (t-s, s) to (t-s-1, s+r).
+ * On page E_n, the d_n differentials are drawn as arrows and the classes killed on an earlier
+ * page are dead: the source of a d_r, and its first target (the leading term of the sum,
+ * which the data should list first) die on page E_{r+1}. Dead classes are drawn in
+ * g_bullets_grey (greyed out or hidden), the ends of the arrows on the current page in
+ * g_bullets_blue, and all other classes in g_bullets_black (see getBulletColor).
+ */
+
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+
+// Page of the Adams spectral sequence currently shown
+var CURRENT_PAGE = 2;
+var HIDE_DEAD_CLASSES = false;
+var PAGE_ACTIVE_CLASSES = new Set(); // Indices of the sources and targets of the d_n of the current page
+
+// Write a number with Unicode subscript digits, e.g. 12 -> "₁₂"
+function toSubscript(n) {
+    return String(n).split("").map(function(d) { return SUBSCRIPT_DIGITS[Number(d)] || d; }).join("");
+}
+
+// Index the differentials of a dataset:
+// diffsFrom[i] / diffsTo[j] - differentials with source i / with j among the targets
+// deathPages[i] - first page on which class i is dead (undefined if it survives to E∞)
+// maxPage - the E∞ page (one more than the longest differential)
+function buildDifferentialIndex(data_json) {
+    data_json.diffsFrom = {};
+    data_json.diffsTo = {};
+    data_json.deathPages = {};
+    data_json.maxPage = 2;
+    const kill = function(i, page) {
+        if (!(data_json.deathPages[i] <= page)) data_json.deathPages[i] = page;
+    };
+    for (const entry of data_json.diffs || []) {
+        const diff = { src: entry.src, tgt: Array.isArray(entry.tgt) ? entry.tgt : [entry.tgt], r: entry.r };
+        (data_json.diffsFrom[diff.src] = data_json.diffsFrom[diff.src] || []).push(diff);
+        for (const j of diff.tgt) {
+            (data_json.diffsTo[j] = data_json.diffsTo[j] || []).push(diff);
+        }
+        kill(diff.src, diff.r + 1);
+        if (diff.tgt.length) kill(diff.tgt[0], diff.r + 1);
+        data_json.maxPage = Math.max(data_json.maxPage, diff.r + 1);
+    }
+}
+
+// Name of a page: "E₃", or "E∞" for the last page
+function getPageName(page) {
+    return page >= DATA_JSON.maxPage && DATA_JSON.maxPage > 2 ? "E∞" : "E" + toSubscript(page);
+}
+
+// Whether class i is dead on the current page
+function isDeadClass(i) {
+    return DATA_JSON.deathPages[i] <= CURRENT_PAGE;
+}
+
+// Bullet group of class i on the current page: "grey" if dead, "blue" if it is an end of a d_n arrow
+function getBulletColor(i) {
+    if (isDeadClass(i)) return "grey";
+    return PAGE_ACTIVE_CLASSES.has(Number(i)) ? "blue" : "black";
+}
+
+// Show page n: dead classes go to the grey group, the ends of the d_n arrows to the blue group
+function setPage(page) {
+    CURRENT_PAGE = clip(page, 2, DATA_JSON.maxPage || 2);
+    const slider = document.getElementById("input_page");
+    if (slider) {
+        slider.value = CURRENT_PAGE;
+        document.getElementById("span_page").textContent = getPageName(CURRENT_PAGE);
+    }
+    if (!DATA_JSON.bullets) return;
+
+    PAGE_ACTIVE_CLASSES = new Set();
+    for (const key in DATA_JSON.diffsFrom) {
+        for (const diff of DATA_JSON.diffsFrom[key]) {
+            if (diff.r !== CURRENT_PAGE) continue;
+            PAGE_ACTIVE_CLASSES.add(Number(diff.src));
+            for (const j of diff.tgt) PAGE_ACTIVE_CLASSES.add(Number(j));
+        }
+    }
+
+    // Re-render so that the bullets and lines get the colors of the page
+    svg_ss.classList.toggle("hide-dead", HIDE_DEAD_CLASSES);
+    renderView();
+    if (selected_index !== null) showBulletInfo(selected_index);
+    scheduleUrlUpdate();
+}
+
+// Draw the d_n differentials of the current page as arrows, shortened to the bullet radius
+function drawDifferentials() {
+    const g_diffs = document.getElementById("g_diffs");
+    let html = "";
+    for (const key in DATA_JSON.diffsFrom || {}) {
+        for (const diff of DATA_JSON.diffsFrom[key]) {
+            if (diff.r !== CURRENT_PAGE) continue;
+            const p1 = getBulletPosition(diff.src);
+            for (const j of diff.tgt) {
+                const p2 = getBulletPosition(j);
+                const len = p1.dist(p2);
+                if (len === 0) continue;
+                const u = p2.sub(p1).mul(1 / len);                        // Unit vector along the arrow
+                const a = p1.add(u.mul(DATA_JSON.bullets[diff.src].r));
+                const b = p2.sub(u.mul(DATA_JSON.bullets[j].r * 1.5));
+                const head = 0.15;                                         // Arrowhead size (world units)
+                const left = b.sub(u.mul(head)).add(new Vector(-u.y, u.x).mul(head / 2));
+                const right = b.sub(u.mul(head)).add(new Vector(u.y, -u.x).mul(head / 2));
+                html += '<path data-i1="' + diff.src + '" data-i2="' + j + '" d="M' + a.x + ' ' + a.y + ' L' + b.x + ' ' + b.y +
+                    ' M' + left.x + ' ' + left.y + ' L' + b.x + ' ' + b.y + ' L' + right.x + ' ' + right.y + '"></path>';
+            }
+        }
+    }
+    g_diffs.innerHTML = html;
+}
+
+// Create the page slider for the menubar; null if the dataset has no differentials
+function createPageSlider() {
+    if (!(DATA_JSON.maxPage > 2)) return null;
+    const wrapper = document.createElement("span");
+    wrapper.id = "span_pages";
+
+    const label = document.createElement("span");
+    label.id = "span_page";
+    label.textContent = getPageName(CURRENT_PAGE);
+
+    const slider = document.createElement("input");
+    slider.id = "input_page";
+    slider.type = "range";
+    slider.min = 2;
+    slider.max = DATA_JSON.maxPage;
+    slider.step = 1;
+    slider.value = CURRENT_PAGE;
+    slider.title = "Page of the spectral sequence";
+    slider.oninput = function() { setPage(Number(slider.value)); };
+
+    const hideLabel = document.createElement("label");
+    hideLabel.title = "Hide the classes killed on earlier pages instead of greying them out";
+    const hideCheckbox = document.createElement("input");
+    hideCheckbox.type = "checkbox";
+    hideCheckbox.checked = HIDE_DEAD_CLASSES;
+    hideCheckbox.onchange = function() {
+        HIDE_DEAD_CLASSES = hideCheckbox.checked;
+        svg_ss.classList.toggle("hide-dead", HIDE_DEAD_CLASSES);
+        scheduleCanvasDraw();
+        scheduleUrlUpdate();
+    };
+    hideLabel.appendChild(hideCheckbox);
+    hideLabel.appendChild(document.createTextNode("hide dead"));
+
+    wrapper.appendChild(label);
+    wrapper.appendChild(slider);
+    wrapper.appendChild(hideLabel);
+    return wrapper;
+}
+
+// Page in the URL as page=3 (or page=inf for E∞), dead classes hidden with dead=hide
+registerUrlParam("page", function() {
+    if (!(DATA_JSON.maxPage > 2) || CURRENT_PAGE === 2) return null;
+    return CURRENT_PAGE >= DATA_JSON.maxPage ? "inf" : String(CURRENT_PAGE);
+}, function(value) {
+    if (!value) return;
+    const page = value === "inf" ? Infinity : parseInt(value);
+    if (!isNaN(page)) setPage(page);
+});
+registerUrlParam("dead", function() {
+    return HIDE_DEAD_CLASSES ? "hide" : null;
+}, function(value) {
+    HIDE_DEAD_CLASSES = value === "hide";
+    svg_ss.classList.toggle("hide-dead", HIDE_DEAD_CLASSES);
+    scheduleCanvasDraw();
+    const checkbox = document.querySelector("#span_pages input[type=checkbox]");
+    if (checkbox) checkbox.checked = HIDE_DEAD_CLASSES;
+});
+
+/* ===== COORDINATE SYSTEMS ===== */
+
+/* 
+ * The x axis shows t−s by default. It can show t instead, or the stem divided by q = 2(p−1)
+ * (at odd primes, the classes gather in stems near multiples of q). The choice is applied by
+ * transX(), so the bullets, lines, highlights and annotations follow; switching rebuilds the
+ * spatial index. Generators of a bidegree are stacked within the width of one stem.
+ */
+
+// x coordinate from t−s (after the "factor" and "shift" of the data), s and q, and back
+const COORDINATE_SYSTEMS = {
+    stem: { label: "(t−s, s)", toX: function(stem, s, q) { return stem; }, fromX: function(x, s, q) { return x; } },
+    t: { label: "(t, s)", toX: function(stem, s, q) { return stem + s; }, fromX: function(x, s, q) { return x - s; } },
+    q: { label: "((t−s)/q, s)", toX: function(stem, s, q) { return stem / q; }, fromX: function(x, s, q) { return x * q; } },
+};
+
+var COORDINATE_SYSTEM = "stem";
+
+function getCoordinateQ() {
+    return 2 * ((DATA_JSON.prime || 2) - 1);
+}
+
+// Distance between neighboring stems along the x axis (world units)
+function getColumnWidth() {
+    return COORDINATE_SYSTEM === "q" ? 1 / getCoordinateQ() : 1;
+}
+
+// Inverse of transX() for the current dataset: t−s at the x coordinate x and filtration s
+function untransX(x, s) {
+    const xshift = "shift" in DATA_JSON ? DATA_JSON.shift : 0;
+    const xfactor = "factor" in DATA_JSON ? DATA_JSON.factor : 1;
+    return (COORDINATE_SYSTEMS[COORDINATE_SYSTEM].fromX(x, s, getCoordinateQ()) - xshift) / xfactor;
+}
+
+// Integer (t−s, s) range covering a world rectangle (e.g. the camera window)
+function getDegreeRange(rect) {
+    const stems = [];
+    for (const x of [rect.x_min, rect.x_max]) {
+        for (const y of [rect.y_min, rect.y_max]) stems.push(untransX(x, y));
+    }
+    return {
+        x_min: Math.max(0, Math.ceil(Math.min.apply(null, stems))),
+        x_max: Math.floor(Math.max.apply(null, stems)),
+        y_min: Math.max(0, Math.ceil(rect.y_min)),
+        y_max: Math.floor(rect.y_max)
+    };
+}
+
+// World rectangle of the bidegrees of a (t−s, s) range
+function getWorldRect(range) {
+    const xs = [];
+    for (const x of [range.x_min, range.x_max]) {
+        for (const y of [range.y_min, range.y_max]) xs.push(transX(x, DATA_JSON, y));
+    }
+    return { x_min: Math.min.apply(null, xs), x_max: Math.max.apply(null, xs), y_min: range.y_min, y_max: range.y_max };
+}
+
+function setCoordinateSystem(name, keepCamera) {
+    if (!(name in COORDINATE_SYSTEMS) || name === COORDINATE_SYSTEM) return;
+    // Keep the bidegree at the center of the view there (unless the camera is already set for name, e.g. by the URL)
+    const center = camera.svg2world(getCameraCenterSvg());
+    const stem = COORDINATE_SYSTEMS[COORDINATE_SYSTEM].fromX(center.x, center.y, getCoordinateQ());
+    COORDINATE_SYSTEM = name;
+    if (DATA_JSON.bullets) {
+        DATA_JSON.spatialIndex = buildSpatialIndex(DATA_JSON);
+        if (COMPARISON) COMPARISON = buildComparison(COMPARISON.dataset, COMPARISON.source, COMPARISON.rescale);
+    }
+    updateBounds();
+    if (!keepCamera) {
+        const x = COORDINATE_SYSTEMS[name].toX(stem, center.y, getCoordinateQ());
+        const unit = clip(camera.unit_svg, CONFIG_DYNAMIC.camera_unit_screen_min, CONFIG_DYNAMIC.camera_unit_screen_max);
+        moveCameraToOrigin(unit, getCameraCenterSvg().sub(new Vector(x, center.y).mul(unit)), true);
+    }
+    renderView();
+    updateAxisLabels();
+    const select = document.getElementById("select_coordinates");
+    if (select) select.value = name;
+    scheduleUrlUpdate();
+}
+
+// Selector of the coordinate system, for the menubar
+function createCoordinateSelector() {
+    const select = document.createElement("select");
+    select.id = "select_coordinates";
+    select.title = "Coordinates";
+    for (const name in COORDINATE_SYSTEMS) {
+        select.add(new Option(COORDINATE_SYSTEMS[name].label.replace("q", getCoordinateQ()), name));
+    }
+    select.value = COORDINATE_SYSTEM;
+    select.onchange = function() { setCoordinateSystem(select.value); };
+    return select;
+}
+
+// Coordinate system in the URL as coords=t or coords=q; the camera of the URL is in those coordinates
+registerUrlParam("coords", function() {
+    return COORDINATE_SYSTEM === "stem" ? null : COORDINATE_SYSTEM;
+}, function(value) {
+    setCoordinateSystem(value in COORDINATE_SYSTEMS ? value : "stem", true);
+});
+
+/* ===== STACKING LAYOUT FOR MULTIPLE GENERATORS ===== */
+
+/* 
+ * Generators of one bidegree are spread out horizontally around the stem by the viewer,
+ * in the order of the bidegree index (the order of the data file positions, so it is stable).
+ * Their spacing follows the zoom level: CONFIG.stack_sep_screen pixels apart, but never
+ * wider than CONFIG.stack_width in total. When zoomed out so far that they are less than
+ * CONFIG.stack_badge_sep_screen pixels apart, a badge shows the number of generators.
+ */
+
+// Transform of the x-coordinate by the optional "shift" and "factor" fields of the data,
+// then to the coordinate system (which may depend on the filtration y)
+function transX(x, data_json, y) {
+    data_json = data_json || DATA_JSON;
+    const xshift = "shift" in data_json ? data_json.shift : 0;
+    const xfactor = "factor" in data_json ? data_json.factor : 1;
+    const stem = (x - Math.round(x)) + Math.round(x) * xfactor + xshift;
+    return COORDINATE_SYSTEMS[COORDINATE_SYSTEM].toX(stem, Math.round(y), getCoordinateQ());
+}
+
+// Position of each bullet in its bidegree: stacks[i] = [k, n] for the k-th of n generators
+function buildStackIndex(data_json) {
+    const stacks = new Array(data_json.bullets.length);
+    for (const key in data_json.bidegrees) {
+        const gens = data_json.bidegrees[key];
+        gens.forEach(function(i, k) { stacks[i] = [k, gens.length]; });
+    }
+    return stacks;
+}
+
+// Distance (world units) between neighboring generators in a bidegree with n generators,
+// at a zoom level of unit pixels per world unit
+function getStackSpacing(n, unit) {
+    return Math.min(CONFIG.stack_sep_screen / unit, CONFIG.stack_width * getColumnWidth() / (n - 1));
+}
+
+// Zoom level of the stacking layout: that of the rendered region (which may be an export), else the camera's
+function getStackUnit() {
+    return renderedView ? renderedView.unit : camera.unit_svg;
+}
+
+// Plotted position (world coordinates) of bullet i
+function getBulletPosition(i, data_json) {
+    data_json = data_json || DATA_JSON;
+    const bullet = data_json.bullets[i];
+    const stack = data_json.stacks[i];
+    if (stack[1] === 1) return new Vector(transX(bullet.x, data_json, bullet.y), bullet.y);
+    const offset = (stack[0] - (stack[1] - 1) / 2) * getStackSpacing(stack[1], getStackUnit());
+    return new Vector(transX(Math.round(bullet.x), data_json, bullet.y) + offset, Math.round(bullet.y));
+}
+
+// Stacking layout at the zoom level unit; the layout of all bidegrees is fixed by this value
+function getStackLayoutKey(unit) {
+    return Math.min(CONFIG.stack_sep_screen / unit, CONFIG.stack_width * getColumnWidth());
+}
+
+// Show count badges where the generators can no longer be told apart at the zoom level unit
+function updateBadges(unit) {
+    g_badges.setAttribute("font-size", CONFIG.stack_badge_font_screen / unit);
+    for (const badge of g_badges.children) {
+        const n = Number(badge.dataset.n);
+        const separated = getStackSpacing(n, unit) * unit >= CONFIG.stack_badge_sep_screen;
+        badge.style.display = separated ? "none" : "";
+    }
+}
+
+/* ===== VIEWPORT-CULLED RENDERING ===== */
+
+/* 
+ * Only the bullets, structure lines, badges and grid lines around the camera window are in the
+ * DOM. A spatial index of square cells (CONFIG.cull_cell world units, by plotted bidegree) finds
+ * the bullets and lines of a rectangle. The rendered rectangle is the camera window enlarged by
+ * CONFIG.cull_margin on each side, so that panning only re-renders once the window leaves it.
+ * A new render also happens when the zoom level changes the stacking layout, the grid spacing or
+ * whether structure lines are drawn (they are left out below CONFIG.lines_min_unit_screen).
+ */
+
+// The rendered region: { rect, unit, layout, gridStep, showLines }, or null if nothing is rendered
+var renderedView = null;
+var renderPending = false;
+
+// Build the spatial index of a dataset: the cells of the bullets, and the drawn structure lines
+// with the cells their bounding box meets. lines[k] = { i1, i2, op (key), name, width }
+function buildSpatialIndex(data_json) {
+    const cell = CONFIG.cull_cell;
+    const cells = {};
+    const addToCell = function(cx, cy, kind, k) {
+        const key = cx + "," + cy;
+        if (!(key in cells)) cells[key] = { bullets: [], lines: [] };
+        cells[key][kind].push(k);
+    };
+    const getCell = function(i) {
+        const bullet = data_json.bullets[i];
+        return [Math.floor(transX(Math.round(bullet.x), data_json, bullet.y) / cell), Math.floor(Math.round(bullet.y) / cell)];
+    };
+
+    data_json.bullets.forEach(function(bullet, i) {
+        const c = getCell(i);
+        addToCell(c[0], c[1], "bullets", i);
+    });
+
+    const lines = [];
+    for (const key in data_json.prods) {
+        const i1 = Number(key);
+        for (const prod of data_json.prods[key]) {
+            if (prod.l == 0) continue; // Skip zero lines
+            const op = getProductKey(prod), name = getProductName(i1, prod, data_json);
+            for (const i2 of prod.p) {
+                const width = Math.min(data_json.bullets[i1].r, data_json.bullets[i2].r) / 4; // Line width proportional to bullet size
+                const c1 = getCell(i1), c2 = getCell(i2);
+                for (let cx = Math.min(c1[0], c2[0]); cx <= Math.max(c1[0], c2[0]); cx++) {
+                    for (let cy = Math.min(c1[1], c2[1]); cy <= Math.max(c1[1], c2[1]); cy++) {
+                        addToCell(cx, cy, "lines", lines.length);
+                    }
+                }
+                lines.push({ i1: i1, i2: i2, op: op, name: name, width: width });
+            }
+        }
+    }
+    return { cell: cell, cells: cells, lines: lines, coordinates: COORDINATE_SYSTEM };
+}
+
+// Bullet indices and line indices of the cells meeting rect (world coordinates)
+function querySpatialIndex(index, rect, withLines) {
+    // Stacked bullets lie up to half a unit from their cell position
+    const cx0 = Math.floor((rect.x_min - 0.5) / index.cell), cx1 = Math.floor((rect.x_max + 0.5) / index.cell);
+    const cy0 = Math.floor((rect.y_min - 0.5) / index.cell), cy1 = Math.floor((rect.y_max + 0.5) / index.cell);
+    const bullets = [], lines = new Set();
+    for (let cx = cx0; cx <= cx1; cx++) {
+        for (let cy = cy0; cy <= cy1; cy++) {
+            const entry = index.cells[cx + "," + cy];
+            if (!entry) continue;
+            for (const i of entry.bullets) bullets.push(i);
+            if (withLines) for (const k of entry.lines) lines.add(k);
+        }
+    }
+    return { bullets: bullets, lines: lines };
+}
+
+// Render the grid, bullets, structure lines and badges inside rect, at a zoom level of unit pixels
+// per world unit, replacing what was rendered before
+// Large renders go to the canvas (see CANVAS RENDERER) unless svgOnly is set
+function renderRegion(rect, unit, svgOnly) {
+    const data_json = DATA_JSON;
+    const view = {
+        rect: rect,
+        unit: unit,
+        layout: getStackLayoutKey(unit),
+        gridStep: getGridStep(unit),
+        showLines: unit >= CONFIG.lines_min_unit_screen
+    };
+    renderedView = view;
+    for (const color in g_bullets) g_bullets[color].innerHTML = "";
+    for (const group of g_strtlines.children) group.innerHTML = "";
+    g_badges.innerHTML = "";
+    clearComparisonSvg();
+
+    view.found = data_json.spatialIndex ? querySpatialIndex(data_json.spatialIndex, rect, view.showLines) : { bullets: [], lines: new Set() };
+    view.compareFound = COMPARISON ? querySpatialIndex(COMPARISON.data.spatialIndex, rect, view.showLines) : null;
+    let count = view.found.bullets.length + view.found.lines.size;
+    if (view.compareFound) count += view.compareFound.bullets.length + view.compareFound.lines.size;
+    view.canvas = !svgOnly && count > CONFIG.canvas_min_elements;
+    if (view.canvas) {
+        document.getElementById("g_grid").innerHTML = "";
+    } else {
+        addGridLines(rect, view.gridStep);
+        renderSvgElements(data_json, view.found);
+        renderComparisonSvg(view);
+    }
+
+    hovered_index = null;
+    circle_mouseon.setAttribute("cx", "-1000");
+    updateBadges(unit);
+    drawDifferentials();
+    drawSelection();
+    drawSelectionSets();
+    drawAnnotations();
+    updateAnnotationScale(unit);
+    updateVisibility();
+    scheduleViewAnnouncement();
+}
+
+// Create the SVG elements of the bullets, badges and structure lines found in the spatial index
+function renderSvgElements(data_json, found) {
+    // Bullets, in the group of their color on the current page, and one count badge per stacked bidegree
+    const bulletsHTML = { "black": "", "blue": "", "grey": "" };
+    let badgesHTML = "";
+    for (const i of found.bullets) {
+        const bullet = data_json.bullets[i];
+        const pos = getBulletPosition(i, data_json); // Includes the stacking layout
+        bulletsHTML[getBulletColor(i)] += '<circle data-i="' + i + '" class="p b ' + data_json.class + '" cx="' + pos.x + '" cy="' + pos.y + '" r="' + bullet.r + '"' + getBulletAccessAttributes(i) + '> </circle>';
+        const stack = data_json.stacks[i];
+        if (stack[0] === 0 && stack[1] > 1) {
+            // g_badges is flipped like g_labels, so y is negated
+            badgesHTML += '<text data-n="' + stack[1] + '" x="' + (transX(Math.round(bullet.x), data_json, bullet.y) + CONFIG.stack_width * getColumnWidth() / 2) + '" y="' + (-Math.round(bullet.y) - 0.15) + '">' + stack[1] + '</text>';
+        }
+    }
+    for (const color in bulletsHTML) {
+        if (bulletsHTML[color]) g_bullets[color].insertAdjacentHTML("beforeend", bulletsHTML[color]);
+    }
+    g_badges.innerHTML = badgesHTML;
+
+    // Structure lines, one insertion per operation
+    const linesHTML = {};
+    for (const k of found.lines) {
+        const line = data_json.spatialIndex.lines[k];
+        const pos1 = getBulletPosition(line.i1, data_json), pos2 = getBulletPosition(line.i2, data_json);
+        const dead = isDeadClass(line.i1) || isDeadClass(line.i2);
+        if (!(line.op in linesHTML)) linesHTML[line.op] = "";
+        linesHTML[line.op] += '<line data-i1="' + line.i1 + '" data-i2="' + line.i2 + '" class="p sl ' + data_json.class + (dead ? ' dead' : '') + '" x1="' + pos1.x + '" y1="' + pos1.y + '" x2="' + pos2.x + '" y2="' + pos2.y + '" stroke-width="' + line.width + '"> </line>';
+    }
+    for (const op in linesHTML) {
+        getProductGroup(op).insertAdjacentHTML("beforeend", linesHTML[op]);
+    }
+}
+
+// Render the camera window with its margin
+function renderView() {
+    const win = camera.getWindow();
+    const mx = (win.x_max - win.x_min) * CONFIG.cull_margin, my = (win.y_max - win.y_min) * CONFIG.cull_margin;
+    renderRegion({ x_min: win.x_min - mx, x_max: win.x_max + mx, y_min: win.y_min - my, y_max: win.y_max + my }, camera.unit_svg);
+}
+
+// Check the rendered region on the next frame
+function scheduleRender() {
+    if (renderPending) return;
+    renderPending = true;
+    requestAnimationFrame(function() {
+        renderPending = false;
+        updateRenderedRegion();
+    });
+}
+
+// Render again if the camera window has left the rendered region, covers only a small part of it
+// (after zooming in), or if the zoom level has changed the layout or the level of detail
+function updateRenderedRegion() {
+    drawMinimap();
+    const view = renderedView;
+    if (view === null) {
+        renderView();
+        return;
+    }
+    const win = camera.getWindow(), rect = view.rect;
+    const inside = win.x_min >= rect.x_min && win.x_max <= rect.x_max && win.y_min >= rect.y_min && win.y_max <= rect.y_max;
+    const renderedArea = (rect.x_max - rect.x_min) * (rect.y_max - rect.y_min);
+    const neededArea = (win.x_max - win.x_min) * (win.y_max - win.y_min) * Math.pow(1 + 2 * CONFIG.cull_margin, 2);
+    if (!inside || renderedArea > 2 * neededArea ||
+        Math.abs(getStackLayoutKey(camera.unit_svg) / view.layout - 1) > 0.02 ||
+        getGridStep(camera.unit_svg) !== view.gridStep ||
+        (camera.unit_svg >= CONFIG.lines_min_unit_screen) !== view.showLines) {
+        renderView();
+    } else {
+        if (view.canvas) drawCanvasPlot(); // The canvas follows the camera by redrawing
+        else updateBadges(camera.unit_svg);
+        updateAnnotationScale(camera.unit_svg);
+        scheduleViewAnnouncement();
+    }
+}
+
+/* ===== CANVAS RENDERER ===== */
+
+/* 
+ * When a render holds more than CONFIG.canvas_min_elements bullets and structure lines, the grid,
+ * bullets, lines and badges are drawn to canvas_plot (under svg_ss) instead of being SVG elements.
+ * The canvas uses the camera transform and is redrawn whenever the camera moves. Highlights,
+ * differentials and labels stay in the SVG, and image export always renders SVG elements.
+ * Bullets under the pointer are found by hitTestBullet() for both renderers.
+ */
+
+var canvasDrawPending = false;
+var canvasDrawn = false; // Whether the canvas currently shows anything
+
+// Match the canvas to the window, at the resolution of the screen
+function resizeCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+    canvas_plot.width = Math.round(window.innerWidth * dpr);
+    canvas_plot.height = Math.round(window.innerHeight * dpr);
+    canvas_plot.style.width = window.innerWidth + "px";
+    canvas_plot.style.height = window.innerHeight + "px";
+    scheduleCanvasDraw();
+}
+
+// Redraw the canvas on the next frame, if it is in use
+function scheduleCanvasDraw() {
+    if (canvasDrawPending || !(canvasDrawn || (renderedView && renderedView.canvas))) return;
+    canvasDrawPending = true;
+    requestAnimationFrame(function() {
+        canvasDrawPending = false;
+        drawCanvasPlot();
+    });
+}
+
+// Draw the rendered region to the canvas with the same styles as the SVG elements
+// (clears the canvas when the region is rendered as SVG)
+function drawCanvasPlot() {
+    const ctx = canvas_plot.getContext("2d");
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas_plot.width, canvas_plot.height);
+    const view = renderedView;
+    canvasDrawn = !!(view && view.canvas);
+    if (!canvasDrawn) return;
+
+    const data_json = DATA_JSON;
+    const unit = camera.unit_svg;
+    const win = camera.getWindow();
+
+    // World coordinates -> canvas pixels, with y pointing up as in g_svg
+    ctx.setTransform(dpr * unit, 0, 0, -dpr * unit, dpr * camera.o_svg.x, dpr * (window.innerHeight - camera.o_svg.y));
+
+    // Grid, as in addGridLines()
+    const step = getGridStep(unit);
+    const x0 = Math.max(win.x_min, -0.5), x1 = Math.min(win.x_max, CONFIG.x_max + 0.5);
+    const y0 = Math.max(win.y_min, -0.5), y1 = Math.min(win.y_max, CONFIG.y_max);
+    ctx.strokeStyle = "#e0e0e0";
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 0.015;
+    ctx.beginPath();
+    for (let i = Math.max(0, Math.ceil(y0 / step) * step); i <= y1; i += step) {
+        ctx.moveTo(x0, i);
+        ctx.lineTo(x1, i);
+    }
+    for (let i = Math.max(0, Math.ceil(x0 / step) * step); i <= x1; i += step) {
+        ctx.moveTo(i, y0);
+        ctx.lineTo(i, y1);
+    }
+    ctx.stroke();
+
+    // Structure lines that changed since an earlier generation, under the structure lines
+    const marks = getComparisonMarks(view);
+    ctx.globalAlpha = 0.6;
+    for (const line of marks.changed) {
+        ctx.strokeStyle = line.color;
+        ctx.lineWidth = line.width * 4;
+        ctx.beginPath();
+        ctx.moveTo(line.pos1.x, line.pos1.y);
+        ctx.lineTo(line.pos2.x, line.pos2.y);
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    // Structure lines by operation; lines of dead classes are faded or hidden like line.dead
+    const linesByOp = {};
+    for (const k of view.found.lines) {
+        const line = data_json.spatialIndex.lines[k];
+        if (HIDDEN_PRODUCTS.has(line.op)) continue;
+        if (!(line.op in linesByOp)) linesByOp[line.op] = [];
+        linesByOp[line.op].push(line);
+    }
+    for (const op in linesByOp) {
+        const style = getProductStyle(op);
+        ctx.strokeStyle = style.color;
+        ctx.setLineDash(style.dash ? style.dash.split(" ").map(Number) : []);
+        for (const dead of [false, true]) {
+            if (dead && HIDE_DEAD_CLASSES) continue;
+            ctx.globalAlpha = dead ? 0.25 : 1;
+            let width = null;
+            ctx.beginPath();
+            for (const line of linesByOp[op]) {
+                if ((isDeadClass(line.i1) || isDeadClass(line.i2)) !== dead) continue;
+                if (line.width !== width) {
+                    ctx.stroke();
+                    ctx.beginPath();
+                    ctx.lineWidth = width = line.width;
+                }
+                const pos1 = getBulletPosition(line.i1, data_json), pos2 = getBulletPosition(line.i2, data_json);
+                ctx.moveTo(pos1.x, pos1.y);
+                ctx.lineTo(pos2.x, pos2.y);
+            }
+            ctx.stroke();
+        }
+    }
+    ctx.setLineDash([]);
+
+    // Compared dataset: structure lines, then the halos of the classes without a counterpart
+    ctx.strokeStyle = COMPARE_COLOR;
+    ctx.globalAlpha = 0.5;
+    for (const line of marks.lines) {
+        ctx.lineWidth = line.width;
+        ctx.beginPath();
+        ctx.moveTo(line.pos1.x, line.pos1.y);
+        ctx.lineTo(line.pos2.x, line.pos2.y);
+        ctx.stroke();
+    }
+    ctx.fillStyle = UNMATCHED_COLOR;
+    ctx.globalAlpha = 0.6;
+    ctx.beginPath();
+    for (const halo of marks.halos) {
+        ctx.moveTo(halo.pos.x + halo.r, halo.pos.y);
+        ctx.arc(halo.pos.x, halo.pos.y, halo.r, 0, 2 * Math.PI);
+    }
+    ctx.fill();
+    ctx.globalAlpha = 1;
+
+    // Hover circle (circle_mouseon would cover the bullet, since the SVG is on top)
+    if (hovered_index !== null) {
+        const pos = getBulletPosition(hovered_index, data_json);
+        ctx.fillStyle = "grey";
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, data_json.bullets[hovered_index].r * 1.3, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    // Bullets, one path per color in the order of the SVG groups; the selected bullet is red
+    const fills = { "black": "black", "blue": "#3879d9", "grey": "grey", "red": "red" };
+    const bulletsByColor = { "black": [], "blue": [], "grey": [], "red": [] };
+    for (const i of view.found.bullets) {
+        const color = getBulletColor(i);
+        if (color === "grey" && HIDE_DEAD_CLASSES) continue;
+        bulletsByColor[i === selected_index ? "red" : color].push(i);
+    }
+    for (const color in bulletsByColor) {
+        ctx.fillStyle = fills[color];
+        ctx.beginPath();
+        for (const i of bulletsByColor[color]) {
+            const pos = getBulletPosition(i, data_json), r = data_json.bullets[i].r;
+            ctx.moveTo(pos.x + r, pos.y);
+            ctx.arc(pos.x, pos.y, r, 0, 2 * Math.PI);
+        }
+        ctx.fill();
+    }
+    ctx.strokeStyle = COMPARE_COLOR;
+    ctx.lineWidth = 0.03;
+    ctx.beginPath();
+    for (const ring of marks.rings) {
+        ctx.moveTo(ring.pos.x + ring.r, ring.pos.y);
+        ctx.arc(ring.pos.x, ring.pos.y, ring.r, 0, 2 * Math.PI);
+    }
+    ctx.stroke();
+
+    // Count badges, in screen pixels so that the text is not flipped
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = "#3879d9";
+    ctx.font = CONFIG.stack_badge_font_screen + "px sans-serif";
+    for (const i of view.found.bullets) {
+        const stack = data_json.stacks[i];
+        if (stack[0] !== 0 || stack[1] === 1) continue;
+        if (getStackSpacing(stack[1], view.unit) * unit >= CONFIG.stack_badge_sep_screen) continue;
+        const bullet = data_json.bullets[i];
+        const pos = camera.world2svg(new Vector(transX(Math.round(bullet.x), data_json, bullet.y) + CONFIG.stack_width * getColumnWidth() / 2, Math.round(bullet.y) + 0.15));
+        ctx.fillText(String(stack[1]), pos.x, window.innerHeight - pos.y);
+    }
+}
+
+// Index of the bullet under the pointer at (clientX, clientY), or null
+function hitTestBullet(clientX, clientY) {
+    if (!DATA_JSON.spatialIndex) return null;
+    if (clientX < CONFIG.margin_x || clientY > window.innerHeight - CONFIG.margin_y) return null; // Axis margins
+    const pt = camera.svg2world(camera.flip(new Vector(clientX, clientY)));
+    const tolerance = CONFIG.hit_tolerance_screen / camera.unit_svg;
+    // Zoomed out, the tolerance can reach past the half unit around the cells that querySpatialIndex() adds
+    const found = querySpatialIndex(DATA_JSON.spatialIndex, { x_min: pt.x - tolerance, x_max: pt.x + tolerance, y_min: pt.y - tolerance, y_max: pt.y + tolerance }, false);
+    let best = null, bestDist = Infinity;
+    for (const i of found.bullets) {
+        if (HIDE_DEAD_CLASSES && isDeadClass(i)) continue;
+        const dist = getBulletPosition(i).dist(pt) - DATA_JSON.bullets[i].r;
+        if (dist <= tolerance && dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+/* ===== OVERVIEW MAP ===== */
+
+/*
+ * A small map in the top left corner shows the whole chart (0 ≤ t−s ≤ CONFIG.x_max,
+ * 0 ≤ s ≤ CONFIG.y_max) as a density image: each pixel is darker the more generators it holds.
+ * The camera window is drawn on it as a rectangle. Clicking or dragging in the map centers the
+ * camera there. The density image is computed once per dataset and size, and cached on the data.
+ * "Overview map" in the menu hides it; the choice is remembered in this browser.
+ */
+
+const MINIMAP_STORAGE_KEY = "adams_viewer.minimap";
+
+var MINIMAP_VISIBLE = true;
+var minimapDragId = null; // Pointer dragging in the map, or null
+
+// Pixels per world unit of the map, and its size in pixels
+function getMinimapLayout() {
+    const unit = Math.min(CONFIG.minimap_width / (CONFIG.x_max + 1), CONFIG.minimap_max_height / (CONFIG.y_max + 1));
+    return { unit: unit, width: Math.round((CONFIG.x_max + 1) * unit), height: Math.round((CONFIG.y_max + 1) * unit) };
+}
+
+// Map pixel of a world point (y down, as on the canvas)
+function minimapFromWorld(layout, pt) {
+    return new Vector((pt.x + 0.5) * layout.unit, layout.height - (pt.y + 0.5) * layout.unit);
+}
+
+function minimapToWorld(layout, pt) {
+    return new Vector(pt.x / layout.unit - 0.5, (layout.height - pt.y) / layout.unit - 0.5);
+}
+
+// Density image of the dataset for a layout: generators counted per pixel, shaded on a log scale
+function getMinimapDensity(layout) {
+    const key = layout.width + "x" + layout.height + "," + CONFIG.x_max + "," + CONFIG.y_max + "," + COORDINATE_SYSTEM;
+    if (DATA_JSON.minimap && DATA_JSON.minimap.key === key) return DATA_JSON.minimap.image;
+    const counts = new Uint32Array(layout.width * layout.height);
+    let max = 0;
+    DATA_JSON.bullets.forEach(function(bullet, i) {
+        const pt = minimapFromWorld(layout, new Vector(transX(Math.round(bullet.x), DATA_JSON, bullet.y), Math.round(bullet.y))); // Not the stacking, which depends on the zoom
+        const px = Math.floor(pt.x), py = Math.floor(pt.y);
+        if (px < 0 || px >= layout.width || py < 0 || py >= layout.height) return;
+        max = Math.max(max, ++counts[py * layout.width + px]);
+    });
+    const image = new ImageData(layout.width, layout.height);
+    for (let k = 0; k < counts.length; k++) {
+        if (counts[k] === 0) continue;
+        image.data[4 * k + 2] = 64; // Dark blue
+        image.data[4 * k + 3] = Math.round(255 * (0.3 + 0.7 * Math.log(1 + counts[k]) / Math.log(1 + max)));
+    }
+    DATA_JSON.minimap = { key: key, image: image };
+    return image;
+}
+
+// Draw the density image and the camera window
+function drawMinimap() {
+    const canvas = document.getElementById("canvas_minimap");
+    if (!MINIMAP_VISIBLE || !canvas) return;
+    const layout = getMinimapLayout();
+    if (canvas.width !== layout.width || canvas.height !== layout.height) {
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+    }
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, layout.width, layout.height);
+    if (DATA_JSON.bullets) ctx.putImageData(getMinimapDensity(layout), 0, 0);
+
+    // Camera window, clipped to the map
+    const win = camera.getWindow();
+    const p1 = minimapFromWorld(layout, new Vector(win.x_min, win.y_max));
+    const p2 = minimapFromWorld(layout, new Vector(win.x_max, win.y_min));
+    const x1 = Math.max(p1.x, 0), y1 = Math.max(p1.y, 0);
+    const x2 = Math.min(p2.x, layout.width), y2 = Math.min(p2.y, layout.height);
+    ctx.fillStyle = "rgba(56, 121, 217, 0.15)";
+    ctx.strokeStyle = "#3879d9";
+    ctx.lineWidth = 1.5;
+    ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+    ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+}
+
+// Center the camera on the world point under the pointer in the map
+// (with a transition for a click, at once while dragging)
+function moveCameraToMinimap(event, immediate) {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const pt = minimapToWorld(getMinimapLayout(), new Vector(event.clientX - rect.left, event.clientY - rect.top));
+    setCameraPosition(null, clip(pt.x, 0, CONFIG.x_max), clip(pt.y, 0, CONFIG.y_max), immediate);
+}
+
+function on_minimap_pointerdown(event) {
+    if (event.button !== 0) return;
+    minimapDragId = event.pointerId;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    moveCameraToMinimap(event);
+    event.preventDefault();
+}
+
+function on_minimap_pointermove(event) {
+    if (event.pointerId === minimapDragId) moveCameraToMinimap(event, true);
+}
+
+function on_minimap_pointerup(event) {
+    if (event.pointerId !== minimapDragId) return;
+    minimapDragId = null;
+    event.currentTarget.releasePointerCapture(event.pointerId);
+}
+
+function setMinimapVisible(visible) {
+    MINIMAP_VISIBLE = visible;
+    document.getElementById("div_minimap").style.display = visible ? "" : "none";
+    document.querySelector("#a_minimap span").textContent = visible ? "✓" : "";
+    try {
+        localStorage.setItem(MINIMAP_STORAGE_KEY, visible ? "1" : "0");
+    } catch (e) {
+        // localStorage may be unavailable: the choice then lasts for the session
+    }
+    drawMinimap();
+}
+
+function initMinimap() {
+    const canvas = document.getElementById("canvas_minimap");
+    canvas.addEventListener("pointerdown", on_minimap_pointerdown);
+    canvas.addEventListener("pointermove", on_minimap_pointermove);
+    canvas.addEventListener("pointerup", on_minimap_pointerup);
+    canvas.addEventListener("pointercancel", on_minimap_pointerup);
+    let visible = true;
+    try {
+        visible = localStorage.getItem(MINIMAP_STORAGE_KEY) !== "0";
+    } catch (e) {
+        // Shown by default
+    }
+    setMinimapVisible(visible);
+}
+
+/* ===== DATASET COMPARISON ===== */
+
+/* 
+ * Another dataset can be overlaid on the current one, sharing the camera. Its bullets are drawn
+ * as orange rings and its structure lines in faint orange. With rescaling, its t−s coordinate is
+ * multiplied by (p−1)/(p'−1), the ratio of the values of 2(p−1) of the two primes, through the
+ * "factor" field used by transX(): the p = 3 chart then lines up with the p = 5 chart.
+ * In every plotted bidegree, the generators beyond the number that the other dataset has there
+ * get a yellow halo: these are the classes that exist in only one of the two.
+ * An earlier generation of the current dataset (see "versions" in the manifest) is compared the
+ * same way, and the structure lines that appeared (green) or disappeared (red) are highlighted
+ * too; generators are then identified by name if both files name them all, else by bidegree
+ * and position in it.
+ * showComparisonSummary() lists the differences.
+ */
+
+const COMPARE_COLOR = "#e6550d";    // Same as the stroke of g_compare_lines and g_compare_bullets
+const UNMATCHED_COLOR = "#ffd700";  // Same as the fill of g_unmatched
+const ADDED_COLOR = "#2ca02c";      // Structure lines only in the current generation
+const REMOVED_COLOR = "#d62728";    // Structure lines only in the earlier generation
+
+// The comparison: { dataset, source (its data), data (a copy with its own factor and indices),
+// rescale, onlyHere (indices of the current dataset), onlyThere (indices of data), generations
+// (whether dataset is an earlier generation), changedBidegrees, linesOnlyHere, linesOnlyThere (indices
+// into the spatialIndex.lines of the current dataset and of data; generations only) }, or null
+var COMPARISON = null;
+
+// Whether to rescale t−s when comparing; remembered for the dialog and set by the URL
+var COMPARE_RESCALE = false;
+
+// Factor applied to t−s of a dataset at otherPrime to line it up with one at prime
+function getCompareFactor(prime, otherPrime) {
+    return (prime - 1) / (otherPrime - 1);
+}
+
+// Compare the current dataset with the loaded data of another dataset
+function buildComparison(dataset, source, rescale) {
+    // Work on a copy, so that the factor and the indices do not stick to the dataset
+    const data = Object.assign({}, source, { dataset: dataset, prime: dataset.prime });
+    data.factor = ("factor" in source ? source.factor : 1) * (rescale ? getCompareFactor(DATA_JSON.prime, dataset.prime) : 1);
+    data.bidegrees = buildBidegreeIndex(data);
+    data.stacks = buildStackIndex(data);
+    data.spatialIndex = buildSpatialIndex(data);
+    const comparison = {
+        dataset: dataset, source: source, data: data, rescale: rescale, onlyHere: new Set(), onlyThere: new Set(),
+        generations: dataset.versionOf === CURRENT_DATASET
+    };
+
+    // Generators by plotted bidegree, e.g. "8,2" -> [indices]
+    const byPlottedBidegree = function(data_json) {
+        const index = {};
+        for (const key in data_json.bidegrees) {
+            const gens = data_json.bidegrees[key];
+            const deg = getBulletDegree(gens[0], data_json);
+            index[Math.round(transX(deg.x, data_json, deg.y) * 1000) / 1000 + "," + deg.y] = gens;
+        }
+        return index;
+    };
+    const here = byPlottedBidegree(DATA_JSON), there = byPlottedBidegree(data);
+
+    // Plotted bidegrees where the numbers of generators differ, by stem:
+    // [{ deg (of the current dataset if it has generators there), x (plotted), here, there }]
+    comparison.changedBidegrees = [];
+    new Set(Object.keys(here).concat(Object.keys(there))).forEach(function(key) {
+        const nHere = (here[key] || []).length, nThere = (there[key] || []).length;
+        if (nHere === nThere) return;
+        const deg = nHere ? getBulletDegree(here[key][0]) : getBulletDegree(there[key][0], data);
+        comparison.changedBidegrees.push({ deg: deg, x: Number(key.split(",")[0]), here: nHere, there: nThere });
+    });
+    comparison.changedBidegrees.sort(function(a, b) { return a.x - b.x || a.deg.y - b.deg.y; });
+
+    for (const key in here) {
+        here[key].slice((there[key] || []).length).forEach(function(i) { comparison.onlyHere.add(i); });
+    }
+    for (const key in there) {
+        there[key].slice((here[key] || []).length).forEach(function(i) { comparison.onlyThere.add(i); });
+    }
+    if (comparison.generations) {
+        comparison.linesOnlyHere = new Set();
+        comparison.linesOnlyThere = new Set();
+        // Generators are matched by name if both files name them all, else by position in their bidegree
+        const byName = hasGeneratorNames(DATA_JSON) && hasGeneratorNames(data);
+        const linesHere = getStructureLineKeys(DATA_JSON, byName), linesThere = getStructureLineKeys(data, byName);
+        linesHere.forEach(function(k, key) { if (!linesThere.has(key)) comparison.linesOnlyHere.add(k); });
+        linesThere.forEach(function(k, key) { if (!linesHere.has(key)) comparison.linesOnlyThere.add(k); });
+    }
+    return comparison;
+}
+
+// Whether every generator of a dataset has a name
+function hasGeneratorNames(data_json) {
+    return data_json.bullets.every(function(bullet) { return typeof bullet.name === "string"; });
+}
+
+// Key of a generator that is stable across generations of a dataset: its name if byName is set,
+// else "t−s,s,position", which shifts when a generator is added before it in its bidegree
+function getGenerationKey(i, data_json, byName) {
+    if (byName) return data_json.bullets[i].name;
+    const deg = getBulletDegree(i, data_json);
+    return deg.x + "," + deg.y + "," + data_json.stacks[i][0];
+}
+
+// Structure lines of a dataset by "operation:source>target" (generation keys) -> index in spatialIndex.lines
+function getStructureLineKeys(data_json, byName) {
+    const keys = new Map();
+    (data_json.spatialIndex ? data_json.spatialIndex.lines : []).forEach(function(line, k) {
+        keys.set(line.op + ":" + getGenerationKey(line.i1, data_json, byName) + ">" + getGenerationKey(line.i2, data_json, byName), k);
+    });
+    return keys;
+}
+
+// Show the current state of the comparison
+function updateComparison() {
+    updateBounds();
+    renderView();
+    createLegend();
+    if (selected_index !== null) showBulletInfo(selected_index);
+    scheduleUrlUpdate();
+}
+
+// Overlay a dataset on the current one
+// Returns a Promise resolving to true once it is shown, or false if loading failed
+function startComparison(dataset, rescale) {
+    COMPARE_RESCALE = rescale;
+    setLoadingIndicator("Loading " + getDatasetTitle(dataset) + "…");
+    return fetchDataset(dataset).then(function(source) {
+        setLoadingIndicator(null);
+        if (!DATA_JSON.bullets || dataset === CURRENT_DATASET) return false;
+        COMPARISON = buildComparison(dataset, source, rescale);
+        updateComparison();
+        return true;
+    }, function(error) {
+        setLoadingIndicator(null);
+        console.error(error.message);
+        showCustomModal("Data unavailable for " + getDatasetTitle(dataset), describeLoadError(error));
+        return false;
+    });
+}
+
+function stopComparison() {
+    COMPARISON = null;
+    updateComparison();
+}
+
+// Halos, rings and lines of the comparison in a rendered region (world coordinates)
+// { halos: [{ pos, r }], rings: [{ pos, r }], lines: [{ pos1, pos2, width }], changed: [{ pos1, pos2, width, color }] }
+function getComparisonMarks(view) {
+    const marks = { halos: [], rings: [], lines: [], changed: [] };
+    if (!COMPARISON || !view.compareFound) return marks;
+    const data = COMPARISON.data;
+    for (const i of view.found.bullets) {
+        if (COMPARISON.onlyHere.has(i)) marks.halos.push({ pos: getBulletPosition(i), r: DATA_JSON.bullets[i].r * 2.2 });
+    }
+    for (const i of view.compareFound.bullets) {
+        const pos = getBulletPosition(i, data), r = data.bullets[i].r;
+        marks.rings.push({ pos: pos, r: r * 1.5 });
+        if (COMPARISON.onlyThere.has(i)) marks.halos.push({ pos: pos, r: r * 2.2 });
+    }
+    for (const k of view.compareFound.lines) {
+        const line = data.spatialIndex.lines[k];
+        const mark = { pos1: getBulletPosition(line.i1, data), pos2: getBulletPosition(line.i2, data), width: line.width };
+        marks.lines.push(mark);
+        if (COMPARISON.generations && COMPARISON.linesOnlyThere.has(k)) {
+            marks.changed.push(Object.assign({ color: REMOVED_COLOR }, mark));
+        }
+    }
+    if (COMPARISON.generations) {
+        for (const k of view.found.lines) {
+            if (!COMPARISON.linesOnlyHere.has(k)) continue;
+            const line = DATA_JSON.spatialIndex.lines[k];
+            marks.changed.push({ pos1: getBulletPosition(line.i1), pos2: getBulletPosition(line.i2), width: line.width, color: ADDED_COLOR });
+        }
+    }
+    return marks;
+}
+
+function clearComparisonSvg() {
+    document.getElementById("g_unmatched").innerHTML = "";
+    document.getElementById("g_compare_lines").innerHTML = "";
+    document.getElementById("g_compare_bullets").innerHTML = "";
+    document.getElementById("g_changed_lines").innerHTML = "";
+}
+
+// Create the SVG elements of the comparison in a rendered region
+function renderComparisonSvg(view) {
+    const marks = getComparisonMarks(view);
+    let halosHTML = "", ringsHTML = "", linesHTML = "", changedHTML = "";
+    for (const halo of marks.halos) {
+        halosHTML += '<circle cx="' + halo.pos.x + '" cy="' + halo.pos.y + '" r="' + halo.r + '"></circle>';
+    }
+    for (const ring of marks.rings) {
+        ringsHTML += '<circle cx="' + ring.pos.x + '" cy="' + ring.pos.y + '" r="' + ring.r + '"></circle>';
+    }
+    for (const line of marks.lines) {
+        linesHTML += '<line x1="' + line.pos1.x + '" y1="' + line.pos1.y + '" x2="' + line.pos2.x + '" y2="' + line.pos2.y + '" stroke-width="' + line.width + '"></line>';
+    }
+    for (const line of marks.changed) {
+        // Thicker than the structure lines, so that they show under them
+        changedHTML += '<line x1="' + line.pos1.x + '" y1="' + line.pos1.y + '" x2="' + line.pos2.x + '" y2="' + line.pos2.y + '" stroke="' + line.color + '" stroke-width="' + line.width * 4 + '"></line>';
+    }
+    document.getElementById("g_changed_lines").innerHTML = changedHTML;
+    document.getElementById("g_unmatched").innerHTML = halosHTML;
+    document.getElementById("g_compare_bullets").innerHTML = ringsHTML;
+    document.getElementById("g_compare_lines").innerHTML = linesHTML;
+}
+
+// Dialog to choose the dataset to overlay
+function showCompareDialog() {
+    const others = DATASETS.filter(function(dataset) { return dataset !== CURRENT_DATASET; });
+    const versions = CURRENT_DATASET.versions || [];
+    if (others.length === 0 && versions.length === 0) {
+        showCustomModal("Compare datasets", "There is no other dataset to compare with.");
+        return;
+    }
+    const form = document.createElement("form");
+    form.className = "modal-form";
+
+    const datasetLabel = document.createElement("label");
+    datasetLabel.textContent = "Overlay";
+    const select = document.createElement("select");
+    select.name = "dataset";
+    const addOptions = function(label, datasets) {
+        if (datasets.length === 0) return;
+        const group = document.createElement("optgroup");
+        group.label = label;
+        for (const dataset of datasets) {
+            const option = document.createElement("option");
+            option.value = dataset.id;
+            option.textContent = getDatasetTitle(dataset);
+            if (COMPARISON && COMPARISON.dataset === dataset) option.selected = true;
+            group.appendChild(option);
+        }
+        select.appendChild(group);
+    };
+    addOptions("Earlier generations", versions);
+    addOptions("Other datasets", others);
+    datasetLabel.appendChild(select);
+    form.appendChild(datasetLabel);
+    form.appendChild(document.createElement("span")); // Keep the checkbox on its own row
+
+    const rescaleLabel = document.createElement("label");
+    rescaleLabel.className = "checkbox";
+    const rescaleCheckbox = document.createElement("input");
+    rescaleCheckbox.type = "checkbox";
+    rescaleCheckbox.checked = COMPARISON ? COMPARISON.rescale : COMPARE_RESCALE;
+    rescaleLabel.appendChild(rescaleCheckbox);
+    rescaleLabel.appendChild(document.createTextNode(" Rescale t−s by (p−1)/(p′−1), p′ the prime of the other dataset, so that the stems line up"));
+    form.appendChild(rescaleLabel);
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Compare";
+    form.appendChild(submit);
+
+    if (COMPARISON) {
+        const stop = document.createElement("button");
+        stop.type = "button";
+        stop.textContent = "Stop comparing";
+        stop.onclick = function() {
+            closeCustomModal();
+            stopComparison();
+        };
+        form.appendChild(stop);
+    }
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        closeCustomModal();
+        startComparison(getDatasetById(select.value), rescaleCheckbox.checked).then(function(loaded) {
+            // The differences between two generations are the point of comparing them
+            if (loaded && COMPARISON.generations) showComparisonSummary();
+        });
+    };
+
+    showCustomModal("Compare datasets", form);
+}
+
+// Rows listed in the comparison summary, per table
+const COMPARISON_SUMMARY_MAX_ROWS = 500;
+
+// Table of the comparison summary; clicking a row centers the camera on (x, y) and closes the dialog
+// rows: [{ cells: [strings], x, y }]
+function createComparisonTable(headers, rows) {
+    const table = document.createElement("table");
+    const head = table.insertRow();
+    for (const header of headers) {
+        const th = document.createElement("th");
+        th.textContent = header;
+        head.appendChild(th);
+    }
+    for (const row of rows.slice(0, COMPARISON_SUMMARY_MAX_ROWS)) {
+        const tr = table.insertRow();
+        for (const cell of row.cells) tr.insertCell().textContent = cell;
+        tr.onclick = function() {
+            closeCustomModal();
+            setCameraPosition(null, row.x, row.y);
+        };
+    }
+    return table;
+}
+
+// List the bidegrees where the numbers of generators differ and, for an earlier generation,
+// the structure lines that were added or removed
+function showComparisonSummary() {
+    if (!COMPARISON) return;
+    const div = document.createElement("div");
+    div.className = "comparison-summary";
+    const addSection = function(title, headers, rows) {
+        const section = document.createElement("div");
+        section.className = "section";
+        section.textContent = title;
+        div.appendChild(section);
+        if (rows.length === 0) {
+            div.appendChild(document.createTextNode("None"));
+            return;
+        }
+        div.appendChild(createComparisonTable(headers, rows));
+        if (rows.length > COMPARISON_SUMMARY_MAX_ROWS) {
+            const note = document.createElement("div");
+            note.className = "note";
+            note.textContent = "First " + COMPARISON_SUMMARY_MAX_ROWS + " of " + rows.length + " rows";
+            div.appendChild(note);
+        }
+    };
+
+    const data = COMPARISON.data;
+    const columns = COMPARISON.generations ? ["Earlier", "Current"] : ["p = " + data.prime, "p = " + DATA_JSON.prime];
+    addSection("Generators", ["(t−s, s)"].concat(columns, ["Δ"]), COMPARISON.changedBidegrees.map(function(row) {
+        const delta = row.here - row.there;
+        return {
+            cells: ["(" + row.deg.x + ", " + row.deg.y + ")", String(row.there), String(row.here), (delta > 0 ? "+" : "−") + Math.abs(delta)],
+            x: row.x, y: row.deg.y
+        };
+    }));
+
+    if (COMPARISON.generations) {
+        // Structure lines by the bidegree of their source
+        const lineRows = function(data_json, lines, change) {
+            return Array.from(lines).map(function(k) {
+                const line = data_json.spatialIndex.lines[k];
+                const deg = getBulletDegree(line.i1, data_json);
+                return {
+                    cells: [change, "(" + deg.x + ", " + deg.y + ")", line.name + " · " + getBulletName(line.i1, data_json) + " = " + getBulletName(line.i2, data_json)],
+                    x: transX(deg.x, data_json, deg.y), y: deg.y
+                };
+            });
+        };
+        const rows = lineRows(DATA_JSON, COMPARISON.linesOnlyHere, "added").concat(lineRows(data, COMPARISON.linesOnlyThere, "removed"));
+        rows.sort(function(a, b) { return a.x - b.x || a.y - b.y; });
+        addSection("Structure lines", ["", "(t−s, s)", "Product"], rows);
+    }
+
+    showCustomModal(getDatasetTitle(CURRENT_DATASET) + " vs " + getDatasetTitle(COMPARISON.dataset), div);
+}
+
+// Comparison in the URL as compare=p_5_S0, with rescale=1 for the rescaled t−s
+// (rescale is registered first, so that it is known when compare is applied)
+registerUrlParam("rescale", function() {
+    return COMPARISON && COMPARISON.rescale ? "1" : null;
+}, function(value) {
+    COMPARE_RESCALE = value === "1";
+});
+registerUrlParam("compare", function() {
+    return COMPARISON ? COMPARISON.dataset.id : null;
+}, function(value) {
+    const dataset = value ? getDatasetById(value) : null;
+    if (dataset && dataset !== CURRENT_DATASET) startComparison(dataset, COMPARE_RESCALE);
+});
+
+/* ===== GENERATOR INFO PANEL AND TOOLTIP ===== */
+
+// Show a small tooltip with the name and bidegree of a bullet next to the mouse
+function showBulletTooltip(i, clientX, clientY) {
+    const div_tooltip = document.getElementById("div_tooltip");
+    const deg = getBulletDegree(i);
+    div_tooltip.textContent = getBulletName(i) + "  (" + deg.x + ", " + deg.y + ")";
+    div_tooltip.style.left = (clientX + 12) + "px";
+    div_tooltip.style.top = (clientY + 12) + "px";
+    div_tooltip.style.display = "block";
+}
+
+function hideBulletTooltip() {
+    document.getElementById("div_tooltip").style.display = "none";
+}
+
+// Find the SVG circle of a bullet by its index; null if it is not rendered
+function getBulletElement(i) {
+    return document.querySelector('circle.b[data-i="' + i + '"]');
+}
+
+// Show the info panel for bullet i: name, degrees, index and products
+function showBulletInfo(i) {
+    const div_info = document.getElementById("div_info");
+    const bullet = DATA_JSON.bullets[i];
+    const deg = getBulletDegree(i);
+    div_info.innerHTML = "";
+
+    const closeButton = document.createElement("button");
+    closeButton.className = "close";
+    closeButton.textContent = "×";
+    closeButton.onclick = hideBulletInfo;
+    div_info.appendChild(closeButton);
+
+    const title = document.createElement("h4");
+    title.textContent = getBulletName(i);
+    div_info.appendChild(title);
+
+    if (bullet.label) {
+        const label = document.createElement("div");
+        label.className = "label";
+        label.textContent = bullet.label;
+        div_info.appendChild(label);
+    }
+
+    const table = document.createElement("table");
+    [["(t−s, s)", "(" + deg.x + ", " + deg.y + ")"], ["t", deg.t], ["Index", i]].forEach(function(row) {
+        const tr = document.createElement("tr");
+        for (const text of row) {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    });
+    div_info.appendChild(table);
+
+    const annotate = document.createElement("a");
+    annotate.href = "#";
+    annotate.textContent = "Annotate";
+    annotate.onclick = function(event) {
+        event.preventDefault();
+        annotateBullet(i);
+    };
+    div_info.appendChild(annotate);
+
+    if (COMPARISON && COMPARISON.onlyHere.has(Number(i))) {
+        const note = document.createElement("div");
+        note.className = "section";
+        note.textContent = "No counterpart in " + getDatasetTitle(COMPARISON.dataset);
+        div_info.appendChild(note);
+    }
+
+    // Products: one line per entry of prods[i], e.g. "h₀ · x = y + z"
+    const prods = DATA_JSON.prods[i];
+    const header = document.createElement("div");
+    header.className = "section";
+    header.textContent = prods && prods.length ? "Products" : "No products";
+    div_info.appendChild(header);
+    if (prods) {
+        const list = document.createElement("ul");
+        for (const prod of prods) {
+            const li = document.createElement("li");
+            li.appendChild(document.createTextNode(getProductName(i, prod) + " · " + getBulletName(i) + " = "));
+            if (prod.p.length === 0) li.appendChild(document.createTextNode("0"));
+            prod.p.forEach(function(j, k) {
+                if (k > 0) li.appendChild(document.createTextNode(" + "));
+                li.appendChild(createBulletLink(j));
+            });
+            list.appendChild(li);
+        }
+        div_info.appendChild(list);
+    }
+    div_info.appendChild(createClosureSection());
+
+    // Differentials from and into this generator
+    const diffs = (DATA_JSON.diffsFrom[i] || []).concat(DATA_JSON.diffsTo[i] || []);
+    if (diffs.length) {
+        const diffHeader = document.createElement("div");
+        diffHeader.className = "section";
+        diffHeader.textContent = "Differentials";
+        div_info.appendChild(diffHeader);
+        const list = document.createElement("ul");
+        for (const diff of diffs) {
+            const li = document.createElement("li");
+            li.appendChild(document.createTextNode("d" + toSubscript(diff.r) + "("));
+            li.appendChild(createBulletLink(diff.src));
+            li.appendChild(document.createTextNode(") = "));
+            diff.tgt.forEach(function(j, k) {
+                if (k > 0) li.appendChild(document.createTextNode(" + "));
+                li.appendChild(createBulletLink(j));
+            });
+            list.appendChild(li);
+        }
+        div_info.appendChild(list);
+    }
+    if (DATA_JSON.maxPage > 2) {
+        const status = document.createElement("div");
+        status.className = "section";
+        const deathPage = DATA_JSON.deathPages[i];
+        status.textContent = deathPage ? "Survives to E" + toSubscript(deathPage - 1) + ", dead on E" + toSubscript(deathPage) : "Survives to E∞";
+        div_info.appendChild(status);
+    }
+
+    div_info.style.display = "block";
+}
+
+// Link with the name of bullet j that selects it, or only centers the camera on it
+// (centerOnly, e.g. in the closure list, which would be replaced by that of j)
+function createBulletLink(j, centerOnly) {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = getBulletName(j);
+    link.onclick = function(event) {
+        event.preventDefault();
+        if (centerOnly) {
+            const pos = getBulletPosition(j);
+            setCameraPosition(null, pos.x, pos.y);
+        } else {
+            selectBulletByIndex(j);
+        }
+    };
+    return link;
+}
+
+function hideBulletInfo() {
+    document.getElementById("div_info").style.display = "none";
+}
+
+/* ===== SEARCH ===== */
+
+// Maximum number of autocomplete suggestions shown under the search box
+const SEARCH_MAX_SUGGESTIONS = 10;
+
+// Parse a bidegree like "(20, 3)", "20,3" or "20 3"; returns null if the query is not a bidegree
+function parseBidegree(query) {
+    const match = query.match(/^\(?\s*(-?\d+)\s*[,\s]\s*(-?\d+)\s*\)?$/);
+    if (!match) return null;
+    return { x: parseInt(match[1]), y: parseInt(match[2]) };
+}
+
+// Generators whose name contains the query (case-insensitive), names starting with it first
+function findBulletsByName(query) {
+    const q = query.toLowerCase();
+    const prefix = [], other = [];
+    for (let i = 0; i < DATA_JSON.bullets.length; i++) {
+        const pos = getBulletName(i).toLowerCase().indexOf(q);
+        if (pos === 0) prefix.push(i);
+        else if (pos > 0) other.push(i);
+    }
+    return prefix.concat(other);
+}
+
+// Center the camera on bullet i (keeping the zoom level) and select it
+function jumpToBullet(i) {
+    const pos = getBulletPosition(i);
+    setCameraPosition(null, pos.x, pos.y);
+    selectBulletByIndex(i);
+}
+
+// Run a search query: a bidegree "(t−s, s)" or a generator name
+// Returns a message to show to the user, or null on success
+function runSearch(query) {
+    query = query.trim();
+    if (!query) return null;
+    if (!DATA_JSON.bullets) return "No data loaded";
+
+    const deg = parseBidegree(query);
+    if (deg) {
+        const gens = getBulletsAt(deg.x, deg.y);
+        if (gens.length === 0) {
+            setCameraPosition(null, transX(deg.x, DATA_JSON, deg.y), deg.y);
+            return "No generators in bidegree (" + deg.x + ", " + deg.y + ")";
+        }
+        jumpToBullet(gens[0]);
+        return gens.length > 1 ? gens.length + " generators in bidegree (" + deg.x + ", " + deg.y + ")" : null;
+    }
+
+    // Prefer an exact match, then a case-insensitive one, then the best partial match
+    let i = DATA_JSON.bullets.findIndex(function(bullet, j) { return getBulletName(j) === query; });
+    if (i === -1) i = DATA_JSON.bullets.findIndex(function(bullet, j) { return getBulletName(j).toLowerCase() === query.toLowerCase(); });
+    if (i === -1) {
+        const matches = findBulletsByName(query);
+        if (matches.length === 0) return "No generator named \"" + query + "\"";
+        i = matches[0];
+    }
+    jumpToBullet(i);
+    return null;
+}
+
+// Show the autocomplete list (or a message if items is a string) under the search box
+function showSearchResults(items) {
+    const div_results = document.getElementById("div_search_results");
+    div_results.innerHTML = "";
+    if (typeof items === "string") {
+        const message = document.createElement("div");
+        message.className = "message";
+        message.textContent = items;
+        div_results.appendChild(message);
+    } else {
+        items.forEach(function(i) {
+            const item = document.createElement("div");
+            item.className = "item";
+            item.dataset.i = i;
+            const deg = getBulletDegree(i);
+            item.textContent = getBulletName(i) + "  (" + deg.x + ", " + deg.y + ")";
+            // pointerdown fires before the input loses focus
+            item.onpointerdown = function(event) {
+                event.preventDefault();
+                document.getElementById("input_search").value = getBulletName(i);
+                hideSearchResults();
+                jumpToBullet(i);
+            };
+            div_results.appendChild(item);
+        });
+    }
+    div_results.style.display = div_results.children.length ? "block" : "none";
+}
+
+function hideSearchResults() {
+    document.getElementById("div_search_results").style.display = "none";
+}
+
+// Move the highlighted autocomplete suggestion up or down
+function moveSearchHighlight(delta) {
+    const items = document.querySelectorAll("#div_search_results .item");
+    if (items.length === 0) return;
+    let index = Array.prototype.findIndex.call(items, function(item) { return item.classList.contains("active"); });
+    if (index !== -1) items[index].classList.remove("active");
+    // Cycle through -1 (no suggestion highlighted), 0, ..., n - 1
+    const n = items.length;
+    index = (index + 1 + delta + n + 1) % (n + 1) - 1;
+    if (index >= 0) items[index].classList.add("active");
+}
+
+// Create the search field for the menubar
+function createSearchBox() {
+    const wrapper = document.createElement("span");
+    wrapper.id = "span_search";
+
+    const input = document.createElement("input");
+    input.id = "input_search";
+    input.type = "text";
+    input.placeholder = "Search: name or (t−s, s)";
+    input.autocomplete = "off";
+    input.oninput = function() {
+        const query = input.value.trim();
+        if (!query || parseBidegree(query) || !DATA_JSON.bullets) { // No data before the first load, or if it failed
+            hideSearchResults();
+        } else {
+            const matches = findBulletsByName(query).slice(0, SEARCH_MAX_SUGGESTIONS);
+            showSearchResults(matches.length ? matches : "No matching generators");
+        }
+    };
+    input.onkeydown = function(event) {
+        if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+            moveSearchHighlight(event.key === "ArrowDown" ? 1 : -1);
+            event.preventDefault();
+        } else if (event.key === "Enter") {
+            const active = document.querySelector("#div_search_results .item.active");
+            if (active) {
+                input.value = getBulletName(Number(active.dataset.i));
+                hideSearchResults();
+                jumpToBullet(Number(active.dataset.i));
+            } else {
+                const message = runSearch(input.value);
+                if (message) showSearchResults(message);
+                else hideSearchResults();
+            }
+        } else if (event.key === "Escape") {
+            hideSearchResults();
+            input.blur();
+        }
+    };
+    input.onblur = hideSearchResults;
+
+    const div_results = document.createElement("div");
+    div_results.id = "div_search_results";
+
+    wrapper.appendChild(input);
+    wrapper.appendChild(div_results);
+    return wrapper;
+}
+
+/* ===== ALTERNATIVE INPUT METHODS ===== */
+
+// Handle mouse wheel zoom
+// The zoom keeps going for a moment after the wheel stops (see addZoomInertia)
+function on_wheel(event) {
+    stopCameraAnimation(); // A running zoom inertia is kept, so that it adds up
+    let pivotScreen = new Vector(event.clientX, event.clientY);
+    let pivotSvg = camera.flip(pivotScreen);
+    const step = event.deltaY < 0 ? Math.log(CONFIG.camera_zoom_rate) : -Math.log(CONFIG.camera_zoom_rate);
+    camera.zoom(pivotSvg, Math.exp(step));
+    addZoomInertia(pivotSvg, step);
+    event.preventDefault();
+}
+
+// Handle Mac trackpad pinch gestures
+function on_pinch(event) {
+    stopCameraMotion();
+    let pivotScreen = new Vector(event.clientX, event.clientY);
+    let pivotSvg = camera.flip(pivotScreen);
+    camera.zoom(pivotSvg, event.scale / prevPinchScale);
+    prevPinchScale = event.scale;
+    event.preventDefault();
+}
+
+/* ===== KEYBOARD NAVIGATION ===== */
+
+/*
+ * Besides panning and zooming, the keyboard moves the selection between generators:
+ * along the stem, up and down in filtration, along the filtration row, and along the
+ * product lines (forwards to a product, backwards to a factor). The camera follows the
+ * selection, and a ring marks the generator selected with the keyboard.
+ * KEY_BINDINGS is also the shortcut sheet of the help dialog.
+ */
+
+// Whether the selection was last moved with the keyboard (the focus ring is shown)
+var keyboardFocus = false;
+
+// Pan the camera by a number of pixels, from where a running transition is heading
+function panByKeyboard(dx, dy) {
+    const target = getCameraTarget();
+    const origin = getCameraCenterSvg().sub(target.center.mul(target.unit));
+    moveCameraToOrigin(target.unit, origin.add(new Vector(dx * CONFIG.camera_translate_pixels, dy * CONFIG.camera_translate_pixels)));
+}
+
+// Zoom around the center of the plot area
+function zoomByKeyboard(rate) {
+    const target = getCameraTarget();
+    const unit = clip(target.unit * rate, CONFIG_DYNAMIC.camera_unit_screen_min, CONFIG_DYNAMIC.camera_unit_screen_max);
+    moveCameraToOrigin(unit, getCameraCenterSvg().sub(target.center.mul(unit)));
+}
+
+// Key bindings: one line of the shortcut sheet each, with the handler of each key (event.key,
+// with "Shift+" in front for non-printable keys such as arrows; printable keys already differ)
+const KEY_BINDINGS = [
+    { keys: "← → ↑ ↓", description: "Pan the chart", handlers: {
+        ArrowLeft: function() { panByKeyboard(1, 0); },
+        ArrowRight: function() { panByKeyboard(-1, 0); },
+        ArrowUp: function() { panByKeyboard(0, -1); },
+        ArrowDown: function() { panByKeyboard(0, 1); }
+    } },
+    { keys: "+ −", description: "Zoom in and out", handlers: {
+        "+": function() { zoomByKeyboard(CONFIG.camera_zoom_rate); },
+        "=": function() { zoomByKeyboard(CONFIG.camera_zoom_rate); },
+        "-": function() { zoomByKeyboard(1 / CONFIG.camera_zoom_rate); },
+        "_": function() { zoomByKeyboard(1 / CONFIG.camera_zoom_rate); }
+    } },
+    { keys: "Shift+↑ Shift+↓", description: "Select the next generator up or down in filtration, in the same stem", handlers: {
+        "Shift+ArrowUp": function() { navigateFiltration(1); },
+        "Shift+ArrowDown": function() { navigateFiltration(-1); }
+    } },
+    { keys: "Shift+← Shift+→", description: "Select the nearest generator of the same filtration in a lower or higher stem", handlers: {
+        "Shift+ArrowLeft": function() { navigateRow(-1); },
+        "Shift+ArrowRight": function() { navigateRow(1); }
+    } },
+    { keys: "n p", description: "Select the next or previous generator of the stem, one by one within a bidegree", handlers: {
+        n: function() { navigateStem(1); },
+        p: function() { navigateStem(-1); }
+    } },
+    { keys: "f  1…9", description: "Follow the first (or the k-th) product line of the selection to its product", handlers: {
+        f: function() { followProduct(0); }
+    } },
+    { keys: "b", description: "Follow a product line backwards, to a generator multiplying into the selection", handlers: {
+        b: function() { followFactor(); }
+    } },
+    { keys: "t", description: "Table of the generators in view (see Accessible mode in the menu)", handlers: {
+        t: function() { showViewTable(); }
+    } },
+    { keys: "a  s  Home", description: "Fit all the data, fit the multi-selection (or the selection), or return to the default region", handlers: {
+        a: function() { fitAll(); },
+        s: function() { fitSelection(); },
+        Home: function() { setCameraToDefaultRegion(CURRENT_DATASET); }
+    } },
+    { keys: "Esc", description: "Clear the selection", handlers: {
+        Escape: function() { clearSelection(); }
+    } }
+];
+for (let k = 1; k <= 9; k++) {
+    KEY_BINDINGS[5].handlers[String(k)] = function() { followProduct(k - 1); };
+}
+
+// Handle keyboard navigation
+function on_key_down(event) {
+    // Keys typed into text fields (e.g. the search box) are not navigation, nor are browser shortcuts
+    if (["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName)) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (document.getElementById("custom-modal")) return; // The modal handles its own keys
+    if (handleBulletKey(event)) {
+        event.preventDefault();
+        return;
+    }
+    const key = (event.shiftKey && event.key.length > 1 ? "Shift+" : "") + event.key;
+    for (const binding of KEY_BINDINGS) {
+        if (key in binding.handlers) {
+            binding.handlers[key]();
+            event.preventDefault();
+            return;
+        }
+    }
+}
+
+// Generators by stem, ordered by filtration and position in the bidegree, and by filtration,
+// ordered by stem: { stems: { x: [indices] }, rows: { y: [indices] } } (computed once per dataset)
+function getNavigationIndex() {
+    if (DATA_JSON.navigation) return DATA_JSON.navigation;
+    const stems = {}, rows = {};
+    for (const key in DATA_JSON.bidegrees) {
+        const gens = DATA_JSON.bidegrees[key];
+        const deg = getBulletDegree(gens[0]);
+        stems[deg.x] = (stems[deg.x] || []).concat(gens);
+        rows[deg.y] = (rows[deg.y] || []).concat(gens);
+    }
+    const byDegree = function(first, second) {
+        return function(i, j) {
+            const a = getBulletDegree(i), b = getBulletDegree(j);
+            return a[first] - b[first] || a[second] - b[second] || DATA_JSON.stacks[i][0] - DATA_JSON.stacks[j][0];
+        };
+    };
+    for (const x in stems) stems[x].sort(byDegree("y", "x"));
+    for (const y in rows) rows[y].sort(byDegree("x", "y"));
+    DATA_JSON.navigation = { stems: stems, rows: rows };
+    return DATA_JSON.navigation;
+}
+
+// Whether the keyboard can select generator i (hidden dead classes are skipped)
+function isNavigable(i) {
+    return !(HIDE_DEAD_CLASSES && isDeadClass(i));
+}
+
+// Select generator i from the keyboard: show the focus ring and keep it in view
+function selectByKeyboard(i) {
+    if (i === null || i === undefined) return;
+    selectBulletByIndex(i);
+    keyboardFocus = true;
+    drawSelection();
+    followBullet(i);
+}
+
+// Center the camera on bullet i if it is outside the middle of the window
+function followBullet(i) {
+    const pos = getBulletPosition(i), win = camera.getWindow();
+    const mx = (win.x_max - win.x_min) * CONFIG.follow_margin, my = (win.y_max - win.y_min) * CONFIG.follow_margin;
+    if (pos.x < win.x_min + mx || pos.x > win.x_max - mx || pos.y < win.y_min + my || pos.y > win.y_max - my) {
+        setCameraPosition(null, pos.x, pos.y);
+    }
+}
+
+// The selection, or the generator nearest to the center of the window if there is none
+// (in which case it is selected and null is returned, so that the first key press only selects)
+function getKeyboardStart() {
+    if (selected_index !== null) return selected_index;
+    if (!DATA_JSON.spatialIndex) return null;
+    const win = camera.getWindow();
+    const center = new Vector((win.x_min + win.x_max) / 2, (win.y_min + win.y_max) / 2);
+    let best = null, bestDist = Infinity;
+    for (const i of querySpatialIndex(DATA_JSON.spatialIndex, win, false).bullets) {
+        const dist = getBulletPosition(i).dist(center);
+        if (isNavigable(i) && dist < bestDist) {
+            best = i;
+            bestDist = dist;
+        }
+    }
+    selectByKeyboard(best);
+    return null;
+}
+
+// Next (step 1) or previous (step −1) generator of the stem
+function navigateStem(step) {
+    const i = getKeyboardStart();
+    if (i === null) return;
+    const list = getNavigationIndex().stems[getBulletDegree(i).x];
+    for (let k = list.indexOf(i) + step; k >= 0 && k < list.length; k += step) {
+        if (isNavigable(list[k])) return selectByKeyboard(list[k]);
+    }
+}
+
+// Lowest generator of the next filtration with generators above (dir 1) or below (dir −1), in the stem
+function navigateFiltration(dir) {
+    const i = getKeyboardStart();
+    if (i === null) return;
+    const deg = getBulletDegree(i);
+    const list = getNavigationIndex().stems[deg.x].filter(function(j) {
+        return isNavigable(j) && (getBulletDegree(j).y - deg.y) * dir > 0;
+    });
+    if (list.length === 0) return;
+    const y = getBulletDegree(dir > 0 ? list[0] : list[list.length - 1]).y;
+    selectByKeyboard(list.find(function(j) { return getBulletDegree(j).y === y; }));
+}
+
+// First generator of the nearest stem to the right (dir 1) or left (dir −1), in the same filtration
+function navigateRow(dir) {
+    const i = getKeyboardStart();
+    if (i === null) return;
+    const deg = getBulletDegree(i);
+    const list = getNavigationIndex().rows[deg.y].filter(function(j) {
+        return isNavigable(j) && (getBulletDegree(j).x - deg.x) * dir > 0;
+    });
+    if (list.length === 0) return;
+    const x = getBulletDegree(dir > 0 ? list[0] : list[list.length - 1]).x;
+    selectByKeyboard(list.find(function(j) { return getBulletDegree(j).x === x; }));
+}
+
+// Product entries of the selection that are drawn, in the order of the info panel
+function getVisibleProducts(i) {
+    return (DATA_JSON.prods[i] || []).filter(function(prod) {
+        return prod.l !== 0 && prod.p.length > 0 && !HIDDEN_PRODUCTS.has(getProductKey(prod));
+    });
+}
+
+// Go to the product of the k-th drawn product line of the selection
+function followProduct(k) {
+    const i = getKeyboardStart();
+    if (i === null) return;
+    const prod = getVisibleProducts(i)[k];
+    if (prod) selectByKeyboard(prod.p[0]);
+}
+
+// Go to the first generator with a drawn product line into the selection
+function followFactor() {
+    const i = getKeyboardStart();
+    if (i === null) return;
+    const entry = (getProductSources()[i] || []).find(function(entry) {
+        return entry.prod.l !== 0 && !HIDDEN_PRODUCTS.has(getProductKey(entry.prod));
+    });
+    if (entry) selectByKeyboard(entry.src);
+}
+
+function clearSelection() {
+    selected_index = null;
+    CLOSURE = null;
+    keyboardFocus = false;
+    drawSelection();
+    hideBulletInfo();
+    announceSelection(null);
+    scheduleUrlUpdate();
+}
+
+// Lines of the shortcut sheet in the help dialog
+function getShortcutSheet() {
+    return KEY_BINDINGS.map(function(binding) { return "• " + binding.keys + " - " + binding.description; });
+}
+
+/* ===== ACCESSIBLE MODE ===== */
+
+/*
+ * For screen readers and keyboard-only use ("Accessible mode" in the menu, or a11y=1 in the URL;
+ * the choice is remembered in this browser):
+ * - the bullets rendered as SVG are focusable, with a label giving the name, bidegree and drawn
+ *   products; Enter or Space selects the focused one. Large views are drawn on the canvas, which
+ *   has nothing to focus, so the announcement of the view then suggests zooming in or the table
+ * - a live region announces the range of the view once the camera stops, and the selection
+ * - "Table of the view" (menu, or the t key) lists the generators in the camera window
+ */
+
+const ACCESSIBLE_MODE_STORAGE_KEY = "adams_viewer.accessible";
+const VIEW_TABLE_MAX_ROWS = 500;
+
+var ACCESSIBLE_MODE = false;
+var announceTimer = null;
+
+// Description of generator i: name, bidegree, status on the current page and drawn products
+function describeBullet(i) {
+    const deg = getBulletDegree(i);
+    let text = getBulletName(i) + ", (t−s, s) = (" + deg.x + ", " + deg.y + "), t = " + deg.t;
+    if (DATA_JSON.maxPage > 2 && isDeadClass(i)) text += ", dead on " + getPageName(CURRENT_PAGE);
+    const products = getVisibleProducts(i).map(function(prod) {
+        return getProductName(i, prod) + " times it is " + prod.p.map(function(j) { return getBulletName(j); }).join(" + ");
+    });
+    return text + (products.length ? ". Products: " + products.join("; ") : ". No products");
+}
+
+// Attributes making the SVG circle of bullet i focusable, in accessible mode (see renderSvgElements)
+function getBulletAccessAttributes(i) {
+    if (!ACCESSIBLE_MODE) return "";
+    return ' tabindex="0" role="button" aria-label="' + escapeHtml(describeBullet(i)) + '"';
+}
+
+// Generators in the camera window, by stem, filtration and position in the bidegree
+function getViewGenerators() {
+    if (!DATA_JSON.spatialIndex) return [];
+    const win = camera.getWindow();
+    return querySpatialIndex(DATA_JSON.spatialIndex, win, false).bullets.filter(function(i) {
+        const pos = getBulletPosition(i);
+        return isNavigable(i) && pos.x >= win.x_min && pos.x <= win.x_max && pos.y >= win.y_min && pos.y <= win.y_max;
+    }).sort(function(i, j) {
+        const a = getBulletDegree(i), b = getBulletDegree(j);
+        return a.x - b.x || a.y - b.y || DATA_JSON.stacks[i][0] - DATA_JSON.stacks[j][0];
+    });
+}
+
+// Range of the camera window in axis coordinates, e.g. "t−s from 0 to 40, s from 0 to 15"
+function describeViewRange() {
+    const range = getDegreeRange(camera.getWindow());
+    return "t−s from " + range.x_min + " to " + Math.max(0, range.x_max) +
+        ", s from " + range.y_min + " to " + Math.max(0, range.y_max);
+}
+
+function announce(text) {
+    document.getElementById("div_live").textContent = text;
+}
+
+// Announce the view once the camera has not moved for CONFIG.announce_delay ms
+function scheduleViewAnnouncement() {
+    if (!ACCESSIBLE_MODE) return;
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(announceView, CONFIG.announce_delay);
+}
+
+function announceView() {
+    if (!ACCESSIBLE_MODE || !DATA_JSON.bullets) return;
+    const count = getViewGenerators().length;
+    let text = describeViewRange() + ": " + count + " generator" + (count === 1 ? "" : "s");
+    if (count && renderedView && renderedView.canvas) text += ", too many to move through with Tab. Zoom in, or press t for a table";
+    svg_ss.setAttribute("aria-label", "Chart of " + getDatasetTitle(DATA_JSON.dataset) + ", " + describeViewRange());
+    announce(text);
+}
+
+function announceSelection(i) {
+    if (!ACCESSIBLE_MODE) return;
+    announce(i === null ? "Selection cleared" : "Selected " + describeBullet(i));
+}
+
+// Enter or Space on a focused bullet selects it; returns whether the key was used
+function handleBulletKey(event) {
+    const i = event.target.getAttribute ? event.target.getAttribute("data-i") : null;
+    if (i === null || !(event.key === "Enter" || event.key === " ")) return false;
+    selectBulletByIndex(Number(i));
+    return true;
+}
+
+function setAccessibleMode(on) {
+    ACCESSIBLE_MODE = on;
+    document.body.classList.toggle("accessible", on);
+    document.querySelector("#a_accessible span").textContent = on ? "✓" : "";
+    try {
+        localStorage.setItem(ACCESSIBLE_MODE_STORAGE_KEY, on ? "1" : "0");
+    } catch (e) {
+        // localStorage may be unavailable: the choice then lasts for the session
+    }
+    if (renderedView !== null) renderView(); // Add or remove the labels of the bullets
+    if (on) scheduleViewAnnouncement();
+    else svg_ss.setAttribute("aria-label", "Adams spectral sequence chart");
+    scheduleUrlUpdate();
+}
+
+function loadAccessibleMode() {
+    try {
+        return localStorage.getItem(ACCESSIBLE_MODE_STORAGE_KEY) === "1";
+    } catch (e) {
+        return false;
+    }
+}
+
+// Accessible mode in the URL as a11y=1 (a11y=0 turns it off); without it, the remembered choice
+registerUrlParam("a11y", function() {
+    return ACCESSIBLE_MODE ? "1" : null;
+}, function(value) {
+    const on = value === null ? loadAccessibleMode() : value === "1";
+    if (on !== ACCESSIBLE_MODE) setAccessibleMode(on);
+});
+
+// Table of the generators in the camera window; a row's link selects the generator
+function showViewTable() {
+    if (!DATA_JSON.bullets) return;
+    const gens = getViewGenerators();
+    const content = document.createElement("div");
+    content.className = "view-table";
+    if (gens.length === 0) {
+        content.textContent = "No generators with " + describeViewRange();
+        showCustomModal("Table of the view", content);
+        return;
+    }
+
+    const withPages = DATA_JSON.maxPage > 2;
+    const table = document.createElement("table");
+    table.createCaption().textContent = gens.length + " generator" + (gens.length === 1 ? "" : "s") + " with " + describeViewRange();
+    const head = table.createTHead().insertRow();
+    for (const header of ["Generator", "t−s", "s", "t", "Products"].concat(withPages ? ["Page"] : [])) {
+        const th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = header;
+        head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const i of gens.slice(0, VIEW_TABLE_MAX_ROWS)) {
+        const deg = getBulletDegree(i);
+        const tr = body.insertRow();
+        const link = document.createElement("a");
+        link.href = "#";
+        link.textContent = getBulletName(i);
+        link.onclick = function(event) {
+            event.preventDefault();
+            closeCustomModal();
+            selectByKeyboard(i);
+        };
+        tr.insertCell().appendChild(link);
+        for (const value of [deg.x, deg.y, deg.t]) tr.insertCell().textContent = value;
+        tr.insertCell().textContent = getVisibleProducts(i).map(function(prod) {
+            return getProductName(i, prod) + " → " + prod.p.map(function(j) { return getBulletName(j); }).join(" + ");
+        }).join("; ");
+        if (withPages) {
+            const deathPage = DATA_JSON.deathPages[i];
+            tr.insertCell().textContent = deathPage ? "dead on E" + toSubscript(deathPage) : "E∞";
+        }
+    }
+    content.appendChild(table);
+    if (gens.length > VIEW_TABLE_MAX_ROWS) {
+        const note = document.createElement("div");
+        note.textContent = "First " + VIEW_TABLE_MAX_ROWS + " of " + gens.length + " generators; zoom in to list the others";
+        content.appendChild(note);
+    }
+    showCustomModal("Table of the view", content);
+}
+
+/* ===== BULLET HOVER EFFECTS ===== */
+
+// Index of the bullet under the mouse, or null
+var hovered_index = null;
+
+// Show highlight circle and tooltip when hovering over a bullet
+function on_pointermove_hover(event) {
+    if (pointerCache.length > 0) return; // Panning
+    const i = hitTestBullet(event.clientX, event.clientY);
+    if (i === null) {
+        if (hovered_index !== null) hideBulletHover();
+        return;
+    }
+    if (i !== hovered_index) {
+        hovered_index = i;
+        if (renderedView && renderedView.canvas) {
+            scheduleCanvasDraw();
+        } else {
+            const pos = getBulletPosition(i);
+            circle_mouseon.setAttribute("cx", pos.x);
+            circle_mouseon.setAttribute("cy", pos.y);
+            circle_mouseon.setAttribute("r", DATA_JSON.bullets[i].r * 1.3); // Slightly larger than bullet
+        }
+    }
+    showBulletTooltip(i, event.clientX, event.clientY);
+}
+
+// Hide highlight circle when leaving bullet
+function hideBulletHover() {
+    hovered_index = null;
+    circle_mouseon.setAttribute("cx", "-1000"); // Move off-screen
+    hideBulletTooltip();
+    scheduleCanvasDraw();
+}
+
+/* ===== CUSTOM MODAL SYSTEM ===== */
+
+// Show custom modal dialog with proper sizing and no scrolling
+// content is either plain text or a DOM element (e.g. a form built by the caller)
+function showCustomModal(title, content) {
+    // Remove existing modal if any
+    closeCustomModal();
+
+    // Create modal container
+    const modal = document.createElement('div');
+    modal.id = 'custom-modal';
+    modal.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0,0,0,0.5);
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        z-index: 10000;
+        font-family: sans-serif;
+    `;
+
+    // Create modal content with proper width control
+    const modalContent = document.createElement('div');
+    modalContent.style.cssText = `
+        background: white;
+        padding: 30px;
+        border-radius: 12px;
+        box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+        
+        /* PROPER WIDTH CONTROL */
+        width: 500px;               /* Optimal reading width */
+        max-width: 90vw;            /* Never exceed 90% of viewport */
+        min-width: 300px;           /* Never get too narrow */
+        
+        /* HEIGHT CONTROL */
+        max-height: 80vh;           /* Comfortable max height */
+        
+        /* LAYOUT */
+        display: flex;
+        flex-direction: column;
+        word-wrap: break-word;
+    `;
+
+    // Create title
+    const titleElement = document.createElement('h3');
+    titleElement.textContent = title;
+    titleElement.style.cssText = `
+        margin: 0 0 20px 0;
+        color: #333;
+        font-size: 22px;
+        font-weight: bold;
+        text-align: center;
+    `;
+
+    // Create content area
+    const contentElement = document.createElement('div');
+    if (content instanceof Node) {
+        contentElement.appendChild(content);
+    } else {
+        contentElement.textContent = content;
+    }
+    contentElement.style.cssText = `
+        color: #555;
+        line-height: 1.6;
+        white-space: pre-line;
+        user-select: text;
+        -webkit-user-select: text;
+        -moz-user-select: text;
+        -ms-user-select: text;
+        flex: 1;
+        margin-bottom: 25px;
+        font-size: 15px;
+        text-align: left;
+    `;
+
+    // Create close button
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.style.cssText = `
+        padding: 12px 24px;
+        background: #3879d9;
+        color: white;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        font-size: 16px;
+        align-self: center;
+        min-width: 100px;
+    `;
+    closeButton.onclick = closeCustomModal;
+
+    // Assemble modal
+    modalContent.appendChild(titleElement);
+    modalContent.appendChild(contentElement);
+    modalContent.appendChild(closeButton);
+    modal.appendChild(modalContent);
+    document.body.appendChild(modal);
+
+    // Close modal when clicking outside content
+    modal.onclick = function(event) {
+        if (event.target === modal) {
+            closeCustomModal();
+        }
+    };
+
+    // Close with Escape key
+    const keyHandler = function(event) {
+        if (event.key === 'Escape') {
+            closeCustomModal();
+        }
+    };
+    modal.keyHandler = keyHandler;
+    document.addEventListener('keydown', keyHandler);
+}
+
+// Close the custom modal dialog if it is open
+function closeCustomModal() {
+    const modal = document.getElementById('custom-modal');
+    if (modal) {
+        document.body.removeChild(modal);
+        document.removeEventListener('keydown', modal.keyHandler);
+    }
+}
+
+// Create a labeled number input for a modal form
+function createNumberField(form, label, name, value, step) {
+    const labelElement = document.createElement("label");
+    labelElement.textContent = label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = name;
+    input.value = value;
+    input.step = step || 1;
+    labelElement.appendChild(input);
+    form.appendChild(labelElement);
+    return input;
+}
+
+// Show an error message in a modal form, above its submit button
+function showFormError(form, message) {
+    let error = form.querySelector(".error");
+    if (!error) {
+        error = document.createElement("div");
+        error.className = "error";
+        error.setAttribute("role", "alert");
+        form.insertBefore(error, form.querySelector("button[type=submit]"));
+    }
+    error.textContent = message;
+}
+
+// Remove the error message of a modal form, e.g. once the form stays open with valid values
+function clearFormError(form) {
+    const error = form.querySelector(".error");
+    if (error) error.remove();
+}
+
+/* ===== CONTEXT MENU SYSTEM ===== */
+
+// Show context menu on right-click
+function on_contextmenu(event) {
+    if (!event.ctrlKey) { // Allow Ctrl+right-click for browser context menu
+        let posX = event.clientX;
+        let posY = event.clientY;
+
+        // Position menu based on which element was right-clicked
+        if (event.target.id === "button_cm") {
+            div_menu_style.left = null;
+            div_menu_style.right = (window.innerWidth - posX) + "px"; // Position relative to right edge
+        } else {
+            div_menu_style.left = posX + "px";
+            div_menu_style.right = null; // Position relative to left edge
+        }
+        // Where "Annotate here" puts the annotation (the center of the window for the ⋯ button)
+        contextMenuWorld = null;
+        if (event.target.id !== "button_cm") {
+            contextMenuWorld = camera.svg2world(camera.flip(new Vector(posX, posY)));
+            contextMenuWorld.screen = new Vector(posX, posY);
+        }
+        div_menu_style.top = posY + "px";
+        div_menu_style.visibility = "visible";
+        event.preventDefault(); // Prevent browser context menu
+    }
 }
 
 // Format timestamp for display in about dialog
@@ -716,13 +4052,20 @@ function formatTimestamp(timestamp) {
 
 // Show about and metadata dialog
 function on_about_metadata() {
-    let message = "Adams Spectral Sequence for S⁰ (Odd Primes)\n\n";
-    message += "This visualization displays the E₂ page for the sphere at odd primes, computed within the following ranges:\n";
+    let message = "Adams Spectral Sequence\n\n";
+    message += "This visualization displays the E₂ page of the following datasets, computed within the following ranges:\n";
     
-    // Calculate tmax for each prime
-    AVAILABLE_PRIMES.forEach(prime => {
-        const tmax = getTmaxForPrime(prime);
-        message += `* p = ${prime}: t ≤ ${tmax}\n`;
+    // Calculate tmax for each dataset
+    DATASETS.forEach(dataset => {
+        const tmax = getTmaxForDataset(dataset);
+        let line = `* ${dataset.name}, p = ${dataset.prime}: `;
+        if (tmax !== null) {
+            line += typeof dataset.t_min === "number" ? `${dataset.t_min} ≤ t ≤ ${tmax}` : `t ≤ ${tmax}`;
+        } else {
+            line += "not loaded yet";
+        }
+        if (dataset.time) line += ` (generated ${formatTimestamp(dataset.time)})`;
+        message += line + "\n";
     });
     
     message += "\n";
@@ -741,16 +4084,62 @@ function on_about_metadata() {
 
 // Show help dialog with navigation instructions
 function showHelp() {
-    const helpText = "Navigation:\n• Pan: Click and drag, or use the arrow keys\n• Zoom: Mouse wheel, pinch gesture, or +/- keys\n• Products: Black lines show multiplication by a₀ and h₀\n• Select element: Click on any dot. Product results are highlighted with green circles\n\nURL Parameters:\n• prime=3,5,7,11 - Select an odd prime\n• scale=2 - Set zoom level (larger values = more zoomed in)\n• x=10 - Set horizontal coordinate for the center viewport\n• y=5 - Set vertical coordinate for the center viewport\n\nExamples URLs:\n• unified_viewer.html?prime=5\n• unified_viewer.html?prime=3&scale=2&x=140&y=20\n• unified_viewer.html?prime=7&scale=0.5&x=500&y=40";
+    const helpText = [
+        "Navigation:",
+        "• Pan: Click and drag, or use the arrow keys",
+        "• Zoom: Mouse wheel, pinch gesture, or +/- keys",
+        "• Fit: \"Fit all data\", \"Fit selection\" and \"Default region\" in the menu (or the a, s and Home keys) move the camera to the whole chart, to the multi-selection (or the selected generator), or back to where it starts; \"Fit\" in the Selection sets panel fits a set",
+        "• Keyboard: Move the selection between generators without the mouse (see the shortcuts below)",
+        "• Products: Lines show multiplication by a₀, h₀ and other operations. Use the checkboxes of the Products legend (bottom left) to show or hide each operation",
+        "• Select element: Click on any dot. Product results are highlighted with green circles, and a panel shows its name, degrees and products",
+        "• Multi-select: Shift-click generators, or shift-drag a lasso around them; \"Save as set\" in the Selection sets panel (top right) names them and gives them a color. Sets are remembered per dataset in this browser and can be exported as (index, t−s, s) lists",
+        "• Annotations: \"Annotate here\" in the menu (right-click) or \"Annotate\" in the panel of a generator adds a label, an arrow or a note; click one to edit it. \"Annotations\" in the menu lists them and imports or exports them as JSON. They are remembered per dataset in this browser",
+        "• Your own data: Drop a data file (JSON, or the JS format of the bundled files) on the page, or use \"Open data file\" in the menu. It is checked and plotted as a temporary dataset under \"Opened files\" in the picker, until the page is reloaded",
+        "• Statistics: \"Statistics\" in the menu counts the generators of a range per stem, filtration, t or bidegree, with the total rank, the vanishing line and a CSV download; click a row to go there",
+        "• Expand: In the panel, \"Expand\" follows the products of the selected element up to the chosen depth (e.g. a whole h₀-tower), or the factors multiplying into it; the paths are drawn in purple and listed by depth",
+        "• Overview map: The map in the top left corner shows the whole chart, darker where there are more generators, with the visible region as a blue rectangle. Click or drag in it to move there; \"Overview map\" in the menu hides it",
+        "• Coordinates: The selector next to the dataset picker puts t−s, t or (t−s)/q with q = 2(p−1) on the x axis. With t−s or t, the axis labels step by divisors or multiples of q",
+        "• Several generators in one bidegree are drawn side by side; when zoomed out, a blue number shows how many there are",
+        "• Differentials: For datasets with Adams differentials, use the E₂…E∞ slider in the menubar. dᵣ arrows of the current page are blue; classes killed on earlier pages are grey (or hidden with \"hide dead\")",
+        "• Search: Type a generator name or a bidegree such as (20, 3) in the search box and press Enter",
+        "• Accessible mode: \"Accessible mode\" in the menu makes the generators focusable with Tab (Enter selects), with a description for screen readers, and announces the range of the view and the selection. \"Table of the view\" lists the generators in view",
+        "• Compare: \"Compare datasets\" in the menu overlays another prime as orange rings, optionally with t−s rescaled by 2(p−1). Classes without a counterpart in the other dataset have a yellow halo. For a dataset with earlier generations, pick one under \"Earlier generations\": structure lines added since then are green, removed ones red, and \"Summary\" in the legend lists the differences",
+        "",
+        "URL Parameters (kept up to date while you navigate; use \"Copy link\" in the menu to share the current view):",
+        "• dataset=p_3_S0 - Select a dataset (see the picker for the available ones)",
+        "• prime=3,5,7,11 - Select the S⁰ dataset of a prime",
+        "• scale=2 - Set zoom level (larger values = more zoomed in)",
+        "• x=10 - Set horizontal coordinate for the center viewport",
+        "• y=5 - Set vertical coordinate for the center viewport",
+        "• sel=42 - Select the bullet with this index",
+        "• hide=1,2 - Hide the structure lines of these operations, given by the l of their products (comma-separated)",
+        "• page=3 or page=inf - Show the E₃ or E∞ page (datasets with differentials)",
+        "• expand=products,3 or expand=factors,3 - Expand the selection along products or factors up to depth 3",
+        "• a11y=1 - Turn on accessible mode (a11y=0 turns it off)",
+        "• coords=t or coords=q - Put t or (t−s)/q on the x axis (x= is then in these coordinates)",
+        "• compare=p_5_S0 - Overlay another dataset; add rescale=1 to rescale its t−s by 2(p−1)",
+        "",
+        "Keyboard shortcuts (without a selection, the first key selects the generator nearest to the center):"
+    ].concat(getShortcutSheet(), [
+        "",
+        "Examples URLs:",
+        "• unified_viewer.html?prime=5",
+        "• unified_viewer.html?prime=3&scale=2&x=140&y=20",
+        "• unified_viewer.html?prime=7&scale=0.5&x=500&y=40"
+    ]).join("\n");
     
     showCustomModal("Help", helpText);
 }
 
-// Update visibility of elements (currently minimal implementation)
+// Update visibility of elements: reset element styles, then hide the unchecked product types
 function updateVisibility() {
     for (const ele of document.getElementsByClassName("p")) {
         ele.removeAttribute("style");
     }
+    for (const group of g_strtlines.children) {
+        group.style.display = HIDDEN_PRODUCTS.has(group.dataset.op) ? "none" : "";
+    }
+    scheduleCanvasDraw();
 }
 
 /* ===== EVENT HANDLER INITIALIZATION ===== */
@@ -763,11 +4152,20 @@ function initHandlers() {
     svg_ss.addEventListener("pointerup", on_pointerup);
     svg_ss.addEventListener("contextmenu", on_contextmenu);
     document.addEventListener("keydown", on_key_down);
+    initMinimap();
+
+    // Hover effects for the bullets
+    if (navigator.userAgent.match("Windows") || navigator.userAgent.match("Macintosh")) {
+        svg_ss.addEventListener("pointermove", on_pointermove_hover);
+        svg_ss.addEventListener("pointerleave", hideBulletHover);
+    }
 
     // Hide context menu when clicked
     const div_menu = document.getElementById("div_menu");
     div_menu.onclick = function(event) { div_menu_style.visibility = "hidden"; };
 
+    initFileDrop();
+
     // Set up Mac-specific gesture handling
     if (navigator.userAgent.match("Macintosh")) {
         window.addEventListener("gesturestart", function(event) { prevPinchScale = 1.0; event.preventDefault(); });
@@ -787,148 +4185,198 @@ function clearPlot() {
     g_strtlines.innerHTML = "";
     g_prod.innerHTML = "";
     g_labels.innerHTML = "";
+    g_badges.innerHTML = "";
+    document.getElementById("g_diffs").innerHTML = "";
+    clearComparisonSvg();
+    
+    renderedView = null;
     
     // Clear selection state
-    if (bullet_selected !== null) {
-        bullet_selected.removeAttribute("fill");
-        bullet_selected = null;
-    }
+    selected_index = null;
+    CLOSURE = null;
+    MULTI_SELECTION.clear();
+    document.getElementById("g_closure").innerHTML = "";
     rect_selected.setAttribute("x", "-1000");
+    hovered_index = null;
     circle_mouseon.setAttribute("cx", "-1000");
+    hideBulletInfo();
+    hideBulletTooltip();
 }
 
-// Progressive rendering function - loads data in batches to prevent UI freezing
-function loadPlot(data_json) {
-    const xshift = "shift" in data_json ? data_json.shift : 0;
-    const xfactor = "factor" in data_json ? data_json.factor : 1;
-    const trans = function(x) { return ((x - Math.round(x)) + Math.round(x) * xfactor + xshift); };
-    
-    // SIMPLIFIED: Since all bullets are currently black, use single batch
-    let bulletsHTML = "";
-    let elementsProcessed = 0;
-    
-    // Process bullets in batch
-    for (; data_json.iPlotB < data_json["bullets"].length && elementsProcessed < CONFIG.plot_batchSize; data_json.iPlotB++) {
-        const bullet = data_json["bullets"][data_json.iPlotB];
-        const ele_bullet = '<circle data-i="' + data_json.iPlotB + '" class="p b ' + data_json.class + '" cx="' + trans(bullet.x) + '" cy="' + bullet.y + '" r="' + bullet.r + '"> </circle>';
-        
-        bulletsHTML += ele_bullet;
-        elementsProcessed++;
-    }
-    
-    // SINGLE DOM INSERTION for all bullets in this batch (performance optimization)
-    if (bulletsHTML) {
-        g_bullets["black"].insertAdjacentHTML("beforeend", bulletsHTML);
-    }
-    
-    // Process structure lines (product relationships)
-    let keys_prods = Object.keys(data_json["prods"]);
-    let linesHTML = "";
-    let linesProcessed = 0;
-    
-    for (; data_json.iPlotSL < keys_prods.length && linesProcessed < CONFIG.plot_batchSize / 2; data_json.iPlotSL++) {
-        const lines = data_json["prods"][keys_prods[data_json.iPlotSL]];
-        for (const line of lines) {
-            if (line['l'] == 0) continue; // Skip zero lines
-            const bullet1 = data_json["bullets"][keys_prods[data_json.iPlotSL]];
-            for (const i of line["p"]) {
-                const bullet2 = data_json["bullets"][i];
-                const width = Math.min(bullet1['r'], bullet2['r']) / 4; // Line width proportional to bullet size
-                const ele_line = '<line class="p sl ' + data_json.class + '" x1="' + trans(bullet1.x) + '" y1="' + bullet1.y + '" x2="' + trans(bullet2.x) + '" y2="' + bullet2.y + '" stroke="black" stroke-width="' + width + '"> </line>';
-                linesHTML += ele_line;
-                linesProcessed++;
-                
-                if (linesProcessed >= CONFIG.plot_batchSize / 2) break; // Respect batch size limit
-            }
-            if (linesProcessed >= CONFIG.plot_batchSize / 2) break;
-        }
-        if (linesProcessed >= CONFIG.plot_batchSize / 2) break;
-    }
-    
-    // BULK INSERTION for structure lines
-    if (linesHTML) {
-        g_strtlines.insertAdjacentHTML("beforeend", linesHTML);
-    }
-    
-    // Continue progressive rendering if more data remains
-    if (data_json.iPlotB < data_json["bullets"].length || data_json.iPlotSL < keys_prods.length) {
-        requestAnimationFrame(function() { loadPlot(data_json); });
-    } else {
-        // Final setup after all data is loaded
-        if (navigator.userAgent.match("Windows") || navigator.userAgent.match("Macintosh")) {
-            const bullets = document.getElementsByClassName("b");
-            for (const b of bullets) {
-                b.onpointerenter = on_pointerenter_bullet;
-                b.onpointerleave = on_pointerleave_bullet;
-            }
-        }
-        updateVisibility();
-        updateAxisLabels();
-    }
-}
-
-// Start the plotting process for a dataset
-function Plot(data_json) {
-    if (["ring", "module"].includes(data_json["type"])) {
-        data_json.iPlotB = 0; // Reset bullet plot index
-        data_json.iPlotSL = 0; // Reset structure line plot index
-        requestAnimationFrame(function() { loadPlot(data_json); }); // Start progressive rendering
-    }
+// Plot DATA_JSON once loadDataset() has indexed it
+// Only "ring" and "module" data have a spatial index, so nothing else is plotted
+function Plot() {
+    setPage(CURRENT_PAGE); // Renders the camera window with the colors of the page
 }
 
-/* ===== PRIME SELECTION AND URL PARAMETER SYSTEM ===== */
+/* ===== DATASET SELECTION AND URL PARAMETER SYSTEM ===== */
 
 // Parse URL parameters for initial configuration
 function getUrlParams() {
     const params = new URLSearchParams(window.location.search);
     return {
+        dataset: params.get('dataset'),            // Optional dataset id, e.g. p_3_S0
         prime: parseInt(params.get('prime')) || 3, // Default to prime 3
         scale: parseFloat(params.get('scale')),    // Optional zoom scale
         x: parseFloat(params.get('x')),            // Optional x-coordinate center
-        y: parseFloat(params.get('y'))             // Optional y-coordinate center
+        y: parseFloat(params.get('y')),            // Optional y-coordinate center
+        sel: parseInt(params.get('sel')),          // Optional index of the selected bullet
+        search: params                             // All parameters, for registered extra parameters
     };
 }
 
-// Update URL to reflect current prime selection
-function updateUrlParams(prime) {
+// Choose the initial dataset from the URL parameters
+// dataset= takes precedence; prime= selects the S⁰ dataset of that prime if there is one
+function getDatasetFromParams(params) {
+    if (params.dataset) {
+        const dataset = getDatasetById(params.dataset);
+        if (dataset) return dataset;
+        console.error("Unknown dataset " + params.dataset);
+    }
+    const candidates = DATASETS.filter(function(dataset) { return dataset.prime === params.prime; });
+    return candidates.find(function(dataset) { return dataset.module === "S0"; }) || candidates[0] || DATASETS[0] || null;
+}
+
+/* ===== VIEW STATE IN THE URL ===== */
+
+/* 
+ * The URL always describes the current view:
+ *   prime= or dataset=  the dataset
+ *   scale=, x=, y=      zoom level and world coordinates of the center of the plot area
+ *   sel=                index of the selected bullet
+ * Other features add their own parameters (e.g. filters) with registerUrlParam().
+ * The URL is updated with a short delay so that panning does not flood the history API.
+ */
+
+// Extra parameters are declared with registerUrlParam() near the top of this file
+
+var urlUpdateTimer = null;
+var urlSyncEnabled = false; // Enabled once the initial URL parameters have been applied
+
+// Update the URL after CONFIG.url_update_delay ms without further changes
+function scheduleUrlUpdate() {
+    if (!urlSyncEnabled) return;
+    clearTimeout(urlUpdateTimer);
+    urlUpdateTimer = setTimeout(updateUrlParams, CONFIG.url_update_delay);
+}
+
+// Round a number for display in the URL
+function roundForUrl(x, digits) {
+    return String(Number(x.toFixed(digits)));
+}
+
+// Build the URL describing the current view
+function getViewUrl() {
     const url = new URL(window.location);
-    url.searchParams.set('prime', prime);
-    // Remove scale, x, y parameters when switching primes to use default region
-    url.searchParams.delete('scale');
-    url.searchParams.delete('x');
-    url.searchParams.delete('y');
-    window.history.replaceState(null, '', url); // Update URL without page reload
+    url.hash = ""; // Menu links (href="#") leave an empty fragment behind
+    const dataset = DATA_JSON.dataset;
+    if (!dataset) return url;
+
+    if (dataset.module === "S0") {
+        // Keep the short form for the sphere
+        url.searchParams.set('prime', dataset.prime);
+        url.searchParams.delete('dataset');
+    } else {
+        url.searchParams.set('dataset', dataset.id);
+        url.searchParams.delete('prime');
+    }
+
+    // Camera: same conventions as setCameraPosition()
+    const center = camera.svg2world(getCameraCenterSvg());
+    url.searchParams.set('scale', roundForUrl(camera.unit_svg / CONFIG_DYNAMIC.camera_unit_screen_init, 3));
+    url.searchParams.set('x', roundForUrl(center.x, 2));
+    url.searchParams.set('y', roundForUrl(center.y, 2));
+
+    if (selected_index !== null) url.searchParams.set('sel', selected_index);
+    else url.searchParams.delete('sel');
+
+    for (const param of URL_EXTRA_PARAMS) {
+        const value = param.get();
+        if (value === null || value === undefined || value === "") url.searchParams.delete(param.key);
+        else url.searchParams.set(param.key, value);
+    }
+    return url;
+}
+
+// Update URL to reflect the current view
+function updateUrlParams() {
+    clearTimeout(urlUpdateTimer);
+    window.history.replaceState(null, '', getViewUrl()); // Update URL without page reload
+}
+
+// Copy a link to the current view to the clipboard
+function copyPermalink() {
+    const link = getViewUrl().href;
+    updateUrlParams();
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(function() {
+            setLoadingIndicator("Link copied");
+            setTimeout(function() { setLoadingIndicator(null); }, 1500);
+        }, function() {
+            showCustomModal("Link to this view", link);
+        });
+    } else {
+        // Clipboard API unavailable (e.g. insecure context): show the link for manual copying
+        showCustomModal("Link to this view", link);
+    }
 }
 
-// Switch to a different prime
-function switchPrime(prime) {
-    if (prime === CURRENT_PRIME) return;
+// Switch to a different dataset
+function switchDataset(dataset) {
+    if (dataset === CURRENT_DATASET) return;
     
-    CURRENT_PRIME = prime;
-    updateUrlParams(prime);
-    loadPrimeData(prime);
+    CURRENT_DATASET = dataset;
+    loadDataset(dataset).then(function(loaded) {
+        if (loaded) {
+            updateUrlParams();
+        } else if (CURRENT_DATASET === dataset) {
+            // Loading failed: keep showing the dataset that is loaded, which need not be the
+            // one selected before this (that one may still have been loading)
+            if (DATA_JSON.dataset) CURRENT_DATASET = DATA_JSON.dataset;
+            createDatasetSelector();
+        }
+    });
 }
 
-// Create the prime selection dropdown in the menubar
-function createPrimeSelector() {
+// Create the dataset selection dropdown in the menubar
+function createDatasetSelector() {
     const container = document.getElementById('div_menubar');
     container.innerHTML = '';
     
-    // Create prime selector
+    // Create dataset selector
     const select = document.createElement('select');
-    select.id = 'select_prime';
-    select.onchange = function(event) { switchPrime(parseInt(event.target.value)); };
+    select.id = 'select_dataset';
+    select.onchange = function(event) { switchDataset(getDatasetById(event.target.value)); };
     
-    AVAILABLE_PRIMES.forEach(function(prime) {
-        const option = document.createElement('option');
-        option.value = prime;
-        option.textContent = 'Prime ' + prime;
-        if (prime === CURRENT_PRIME) {
-            option.selected = true;
-        }
-        select.appendChild(option);
+    // Group the datasets by module when there is more than one module
+    const modules = [];
+    DATASETS.forEach(function(dataset) {
+        if (!modules.includes(dataset.module)) modules.push(dataset.module);
     });
     
+    modules.forEach(function(module) {
+        let parent = select;
+        if (modules.length > 1) {
+            parent = document.createElement('optgroup');
+            parent.label = module === USER_FILE_MODULE ? "Opened files" : DATASETS.find(function(dataset) { return dataset.module === module; }).name;
+            select.appendChild(parent);
+        }
+        DATASETS.forEach(function(dataset) {
+            if (dataset.module !== module) return;
+            const option = document.createElement('option');
+            option.value = dataset.id;
+            option.textContent = getDatasetLabel(dataset);
+            if (dataset === CURRENT_DATASET) {
+                option.selected = true;
+            }
+            parent.appendChild(option);
+        });
+    });
+    
+    container.appendChild(createSearchBox());
+    const pageSlider = createPageSlider();
+    if (pageSlider) container.appendChild(pageSlider);
+    container.appendChild(createCoordinateSelector());
     container.appendChild(select);
     
     // Add context menu button
@@ -939,78 +4387,647 @@ function createPrimeSelector() {
     container.appendChild(button);
 }
 
-// Reset camera to default viewing region for a prime
-function setCameraToDefaultRegion(prime) {
-    // Reset to original camera position
-    camera.unit_svg = CONFIG_DYNAMIC.camera_unit_screen_init;
-    camera.o_svg = new Vector(
-        CONFIG.margin_x + 0.5 * CONFIG_DYNAMIC.camera_unit_screen_init,
-        CONFIG.margin_y + 0.5 * CONFIG_DYNAMIC.camera_unit_screen_init
+// Return to the initial zoom level with the origin in the bottom left corner
+// (with a transition, unless immediate, e.g. when a dataset is loaded)
+function setCameraToDefaultRegion(dataset, immediate) {
+    const unit = CONFIG_DYNAMIC.camera_unit_screen_init;
+    moveCameraToOrigin(unit, new Vector(CONFIG.margin_x + 0.5 * unit, CONFIG.margin_y + 0.5 * unit), immediate);
+}
+
+// Center the camera on (x, y) at a zoom level of scale (relative to the initial one); null keeps
+// the current value. Moves with a transition unless immediate (e.g. for the URL of a loaded page)
+function setCameraPosition(scale, x, y, immediate) {
+    let unit = camera.unit_svg;
+    if (scale !== null && !isNaN(scale)) {
+        unit = clip(CONFIG_DYNAMIC.camera_unit_screen_init * scale, CONFIG_DYNAMIC.camera_unit_screen_min, CONFIG_DYNAMIC.camera_unit_screen_max);
+    }
+    let center = camera.svg2world(getCameraCenterSvg());
+    if (x !== null && !isNaN(x) && y !== null && !isNaN(y)) center = new Vector(x, y);
+    moveCamera(unit, center, immediate);
+}
+
+// Center of the plot area (SVG pixels): the point of setCameraPosition() and of the URL
+function getCameraCenterSvg() {
+    return new Vector(
+        CONFIG.margin_x + (window.innerWidth - CONFIG.margin_x) / 2,
+        CONFIG.margin_y + (window.innerHeight - CONFIG.margin_y) / 2
     );
-    
+}
+
+/* ===== CAMERA TRANSITIONS ===== */
+
+/*
+ * Camera moves requested by the interface (search, links, keys, fit commands, the overview map)
+ * are eased transitions of CONFIG.camera_animation_ms: the zoom level changes geometrically
+ * and the center linearly. Dragging and pinching move the camera directly, and the wheel zoom
+ * coasts to a stop. Grabbing the chart or turning the wheel stops a transition. With
+ * prefers-reduced-motion, every move is immediate.
+ */
+
+// Running transition: { from, to: { unit, center (world) }, start, duration }, or null
+var cameraAnimation = null;
+// Coasting wheel zoom: { pivot (SVG pixels), velocity (log of the zoom rate per frame) }, or null
+var zoomInertia = null;
+var cameraFrame = null; // Pending animation frame of either
+
+function prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Zoom level and center that the camera is heading to
+function getCameraTarget() {
+    if (cameraAnimation) return cameraAnimation.to;
+    return { unit: camera.unit_svg, center: camera.svg2world(getCameraCenterSvg()) };
+}
+
+function setCameraState(unit, center) {
+    camera.unit_svg = unit;
+    camera.o_svg = getCameraCenterSvg().sub(center.mul(unit));
     camera.setTransform();
     updateAxisLabels();
 }
 
-// Set camera position based on URL parameters
-function setCameraPosition(scale, x, y) {
-    if (scale !== null && !isNaN(scale)) {
-        // Set zoom level
-        const targetUnit = CONFIG_DYNAMIC.camera_unit_screen_init * scale;
-        camera.unit_svg = clip(targetUnit, CONFIG_DYNAMIC.camera_unit_screen_min, CONFIG_DYNAMIC.camera_unit_screen_max);
+function stopCameraMotion() {
+    if (cameraFrame !== null) cancelAnimationFrame(cameraFrame);
+    cameraFrame = null;
+    cameraAnimation = null;
+    zoomInertia = null;
+}
+
+// Stop a running transition, but not the zoom inertia
+function stopCameraAnimation() {
+    if (!cameraAnimation) return;
+    cancelAnimationFrame(cameraFrame);
+    cameraFrame = null;
+    cameraAnimation = null;
+}
+
+// Move the camera to a zoom level of unit pixels per world unit centered on center (world)
+function moveCamera(unit, center, immediate) {
+    stopCameraMotion();
+    const from = getCameraTarget();
+    if (immediate || prefersReducedMotion() || CONFIG.camera_animation_ms <= 0 ||
+        (Math.abs(unit / from.unit - 1) < 1e-6 && from.center.dist(center) * unit < 0.5)) {
+        setCameraState(unit, center);
+        return;
     }
-    
-    if (x !== null && !isNaN(x) && y !== null && !isNaN(y)) {
-        // Set camera position to center on (x, y)
-        const targetSvgX = CONFIG.margin_x + (window.innerWidth - CONFIG.margin_x) / 2;
-        const targetSvgY = CONFIG.margin_y + (window.innerHeight - CONFIG.margin_y) / 2;
-        
-        const currentWorld = camera.svg2world(new Vector(targetSvgX, targetSvgY));
-        const deltaX = x - currentWorld.x;
-        const deltaY = y - currentWorld.y;
-        
-        camera.o_svg.x -= deltaX * camera.unit_svg;
-        camera.o_svg.y -= deltaY * camera.unit_svg;
+    cameraAnimation = { from: from, to: { unit: unit, center: center }, start: performance.now(), duration: CONFIG.camera_animation_ms };
+    cameraFrame = requestAnimationFrame(stepCameraAnimation);
+}
+
+// Same, for a camera origin (SVG pixels) kept within the data bounds as when panning
+function moveCameraToOrigin(unit, origin, immediate) {
+    const o_svg = camera.clampOrigin(origin, unit);
+    moveCamera(unit, getCameraCenterSvg().sub(o_svg).mul(1 / unit), immediate);
+}
+
+function stepCameraAnimation(time) {
+    const anim = cameraAnimation;
+    if (!anim) return;
+    const t = clip((time - anim.start) / anim.duration, 0, 1);
+    const e = easeInOutCubic(t);
+    setCameraState(anim.from.unit * Math.pow(anim.to.unit / anim.from.unit, e), anim.from.center.add(anim.to.center.sub(anim.from.center).mul(e)));
+    if (t < 1) {
+        cameraFrame = requestAnimationFrame(stepCameraAnimation);
+    } else {
+        cameraFrame = null;
+        cameraAnimation = null;
     }
-    
-    camera.setTransform();
-    updateAxisLabels();
 }
 
-// Load and display data for a specific prime
-function loadPrimeData(prime) {
-    const globalVarName = 'DATA_JSON_p_' + prime + '_S0';
-    
-    if (window[globalVarName]) {
-        DATA_JSON = window[globalVarName];
+// Keep zooming after a wheel step of log rate step: a part of each step goes into a velocity
+// that decays by CONFIG.wheel_friction per frame
+function addZoomInertia(pivotSvg, step) {
+    if (prefersReducedMotion()) return;
+    let velocity = step * CONFIG.wheel_inertia;
+    if (zoomInertia && zoomInertia.velocity * step > 0) velocity += zoomInertia.velocity; // Same direction: speed up
+    const max = Math.abs(step) * CONFIG.wheel_inertia_max;
+    zoomInertia = { pivot: pivotSvg, velocity: clip(velocity, -max, max) };
+    if (cameraFrame === null) cameraFrame = requestAnimationFrame(stepZoomInertia);
+}
+
+function stepZoomInertia() {
+    cameraFrame = null;
+    if (!zoomInertia) return;
+    camera.zoom(zoomInertia.pivot, Math.exp(zoomInertia.velocity));
+    zoomInertia.velocity *= CONFIG.wheel_friction;
+    if (Math.abs(zoomInertia.velocity) < 1e-4) zoomInertia = null;
+    else cameraFrame = requestAnimationFrame(stepZoomInertia);
+}
+
+// Fit rect (world coordinates) in the plot area, with CONFIG.fit_padding world units around it
+function fitCameraToRect(rect) {
+    const pad = CONFIG.fit_padding;
+    const width = Math.max(rect.x_max - rect.x_min, CONFIG.fit_min_size) + 2 * pad;
+    const height = Math.max(rect.y_max - rect.y_min, CONFIG.fit_min_size) + 2 * pad;
+    const unit = clip(Math.min((window.innerWidth - CONFIG.margin_x) / width, (window.innerHeight - CONFIG.margin_y) / height),
+        CONFIG_DYNAMIC.camera_unit_screen_min, CONFIG_DYNAMIC.camera_unit_screen_max);
+    moveCamera(unit, new Vector((rect.x_min + rect.x_max) / 2, (rect.y_min + rect.y_max) / 2));
+}
+
+// Fit the plotted positions of some generators
+function fitBullets(indices) {
+    if (indices.length === 0) return;
+    const rect = { x_min: Infinity, x_max: -Infinity, y_min: Infinity, y_max: -Infinity };
+    for (const i of indices) {
+        const pos = getBulletPosition(i);
+        rect.x_min = Math.min(rect.x_min, pos.x);
+        rect.x_max = Math.max(rect.x_max, pos.x);
+        rect.y_min = Math.min(rect.y_min, pos.y);
+        rect.y_max = Math.max(rect.y_max, pos.y);
+    }
+    fitCameraToRect(rect);
+}
+
+function fitAll() {
+    if (!DATA_JSON.bullets) return;
+    fitBullets(DATA_JSON.bullets.map(function(bullet, i) { return i; }));
+}
+
+// Fit the multi-selection, or else the selected generator with what it is expanded to
+function fitSelection() {
+    if (MULTI_SELECTION.size) {
+        fitBullets(Array.from(MULTI_SELECTION));
+    } else if (selected_index !== null) {
+        fitBullets([selected_index].concat(CLOSURE ? Array.from(CLOSURE.reached.keys()) : []));
+    }
+}
+
+/* ===== ON-DEMAND DATA LOADING ===== */
+
+// Cache of pending or finished loads: dataset id -> Promise resolving to the data object
+const DATA_CACHE = {};
+
+// Show or hide the loading indicator
+function setLoadingIndicator(text) {
+    const div_loading = document.getElementById("div_loading");
+    div_loading.textContent = text || "";
+    div_loading.style.display = text ? "block" : "none";
+}
+
+/* ===== DATA VALIDATION ===== */
+
+/*
+ * Every data file is checked when it loads, before anything is indexed or drawn:
+ * - errors: wrong types, coordinates that are not numbers, indices out of range.
+ *   The plotting code would fail or draw garbage, so the dataset is not shown.
+ * - warnings: products whose target is not in the bidegree of their operation,
+ *   differentials that do not go to (t−s−1, s+r), duplicate generators or entries.
+ *   The dataset is shown, after the report.
+ * The report is shown in a modal (see createValidationReport()).
+ */
+
+const VALIDATION_MAX_LISTED = 100; // Problems listed per kind in the report
+
+// Check a data object; the prime is used for the degrees of the standard operations
+// Returns { errors: [messages], warnings: [messages] }
+function validateData(data, prime) {
+    const report = { errors: [], warnings: [] };
+    const error = function(message) { report.errors.push(message); };
+    const warn = function(message) { report.warnings.push(message); };
+
+    if (typeof data !== "object" || data === null) {
+        error("The data is not an object.");
+        return report;
+    }
+    if (!Array.isArray(data.bullets)) error("The field \"bullets\" is missing or is not an array.");
+    if (typeof data.prods !== "object" || data.prods === null || Array.isArray(data.prods)) error("The field \"prods\" is missing or is not an object.");
+    if ("diffs" in data && !Array.isArray(data.diffs)) error("The field \"diffs\" is not an array.");
+    if ("multipliers" in data && (typeof data.multipliers !== "object" || data.multipliers === null)) error("The field \"multipliers\" is not an object.");
+    if (report.errors.length) return report;
+
+    // Multipliers: { l: { name, color?, dash? } }, the style is used in the SVG and the legend
+    for (const l in data.multipliers || {}) {
+        const multiplier = data.multipliers[l];
+        const where = "multipliers[" + l + "]";
+        if (typeof multiplier !== "object" || multiplier === null || Array.isArray(multiplier)) {
+            error(where + " is not an object.");
+            continue;
+        }
+        if (typeof multiplier.name !== "string") error(where + " has no name string.");
+        if ("color" in multiplier && !isValidColor(multiplier.color)) error(where + " has the color " + JSON.stringify(multiplier.color) + ", which is not a CSS color.");
+        if ("dash" in multiplier && !(typeof multiplier.dash === "string" && /^(\d*\.?\d+( \d*\.?\d+)*)?$/.test(multiplier.dash))) {
+            error(where + " has the dash pattern " + JSON.stringify(multiplier.dash) + ", which is not a list of numbers separated by spaces.");
+        }
+    }
+    if (report.errors.length) return report;
+    if (!["ring", "module"].includes(data.type)) warn("The type is " + JSON.stringify(data.type) + " instead of \"ring\" or \"module\", so nothing is plotted.");
+
+    // Generators: numeric coordinates and radius, no two at the same point, no two with the same name
+    const n = data.bullets.length;
+    const isIndex = function(i) { return Number.isInteger(i) && i >= 0 && i < n; };
+    const positions = new Map(), names = new Map();
+    data.bullets.forEach(function(bullet, i) {
+        if (typeof bullet !== "object" || bullet === null) {
+            error("bullets[" + i + "] is not an object.");
+            return;
+        }
+        if (!Number.isFinite(bullet.x) || !Number.isFinite(bullet.y)) {
+            error("bullets[" + i + "] has no numeric x and y.");
+            return;
+        }
+        if (!(Number.isFinite(bullet.r) && bullet.r > 0)) error("bullets[" + i + "] at (" + bullet.x + ", " + bullet.y + ") has no positive radius r.");
+        if ("name" in bullet && typeof bullet.name !== "string") warn("bullets[" + i + "] has a name that is not a string.");
+        if ("label" in bullet && typeof bullet.label !== "string") warn("bullets[" + i + "] has a label that is not a string.");
+        const key = bullet.x + "," + bullet.y;
+        if (positions.has(key)) warn("bullets[" + i + "] and bullets[" + positions.get(key) + "] are both at (" + key + ") and are drawn on top of each other.");
+        else positions.set(key, i);
+        if (typeof bullet.name === "string") {
+            if (names.has(bullet.name)) warn("bullets[" + i + "] and bullets[" + names.get(bullet.name) + "] are both named " + bullet.name + ".");
+            else names.set(bullet.name, i);
+        }
+    });
+    if (report.errors.length) return report;
+
+    // Products: index bounds and duplicates, then the bidegree of the targets
+    // The operation of an entry is its name in the data; unnamed ones are grouped by their l
+    const degree = function(i) { return { x: Math.round(data.bullets[i].x), y: Math.round(data.bullets[i].y) }; };
+    const shifts = {}; // name, or "l = ..." for unnamed entries -> [{ i, k, tgt, shift: "dx,dy" }] for the degree check
+    for (const key in data.prods) {
+        const i = Number(key);
+        const where = "prods[" + key + "]";
+        if (!isIndex(i)) {
+            error(where + " is not the index of a generator (there are " + n + ").");
+            continue;
+        }
+        const entries = data.prods[key];
+        if (!Array.isArray(entries)) {
+            error(where + " is not an array.");
+            continue;
+        }
+        const ops = new Set();
+        entries.forEach(function(prod, k) {
+            const entry = where + "[" + k + "]";
+            if (typeof prod !== "object" || prod === null || !Number.isInteger(prod.l) || !Array.isArray(prod.p)) {
+                error(entry + " is not of the form { l: integer, p: [indices] }.");
+                return;
+            }
+            const outOfRange = prod.p.filter(function(j) { return !isIndex(j); });
+            if (outOfRange.length) {
+                error(entry + " has targets that are not generators: " + outOfRange.join(", ") + ".");
+                return;
+            }
+            if (new Set(prod.p).size < prod.p.length) warn(entry + " lists a target more than once.");
+            if (prod.l === 0 || prod.p.length === 0) return; // Not drawn
+
+            const src = degree(i), tgt = degree(prod.p[0]);
+            const shift = (tgt.x - src.x) + "," + (tgt.y - src.y);
+            if (prod.p.some(function(j) { const d = degree(j); return d.x !== tgt.x || d.y !== tgt.y; })) {
+                warn(entry + ": the targets " + prod.p.join(", ") + " are not all in one bidegree.");
+            }
+            const name = prod.name || (data.multipliers && data.multipliers[prod.l] && data.multipliers[prod.l].name) || null;
+            const op = name || "(" + shift + ")";
+            if (ops.has(op)) warn(where + " has several entries for the operation " + op + ".");
+            ops.add(op);
+            const group = name || "l = " + prod.l;
+            (shifts[group] = shifts[group] || []).push({ i: i, k: k, tgt: tgt, shift: shift });
+        });
+    }
+
+    // An operation has one degree: that of the standard operation of this name, or else its most common one
+    const standard = {};
+    for (const m of getStandardMultipliers(prime)) standard[m.name] = m.x + "," + m.y;
+    for (const name in shifts) {
+        const counts = {};
+        for (const entry of shifts[name]) counts[entry.shift] = (counts[entry.shift] || 0) + 1;
+        const expected = name in standard ? standard[name] : Object.keys(counts).reduce(function(a, b) { return counts[b] > counts[a] ? b : a; });
+        const e = expected.split(",").map(Number);
+        for (const entry of shifts[name]) {
+            if (entry.shift === expected) continue;
+            const src = degree(entry.i);
+            warn("prods[" + entry.i + "][" + entry.k + "] (" + name + "): the target is in (" + entry.tgt.x + ", " + entry.tgt.y +
+                "), expected (" + (src.x + e[0]) + ", " + (src.y + e[1]) + ").");
+        }
+    }
+
+    // Differentials: indices, page and the bidegree (t−s−1, s+r) of the targets
+    (data.diffs || []).forEach(function(diff, k) {
+        const where = "diffs[" + k + "]";
+        const tgt = diff && (Array.isArray(diff.tgt) ? diff.tgt : [diff.tgt]);
+        if (typeof diff !== "object" || diff === null || !isIndex(diff.src) || !tgt.every(isIndex)) {
+            error(where + " does not go from a generator to generators.");
+            return;
+        }
+        if (!(Number.isInteger(diff.r) && diff.r >= 2)) {
+            error(where + " has no page r ≥ 2.");
+            return;
+        }
+        const src = degree(diff.src);
+        for (const j of tgt) {
+            const d = degree(j);
+            if (d.x !== src.x - 1 || d.y !== src.y + diff.r) {
+                warn(where + ": d" + toSubscript(diff.r) + " of bullets[" + diff.src + "] in (" + src.x + ", " + src.y + ") hits bullets[" + j + "] in (" + d.x + ", " + d.y + "), expected (" + (src.x - 1) + ", " + (src.y + diff.r) + ").");
+            }
+        }
+    });
+
+    return report;
+}
+
+// Whether a value from a data file is a CSS color (named, #hex, rgb(), hsl(), ...)
+function isValidColor(color) {
+    if (typeof color !== "string" || !/^[#(),.%\s\w-]+$/.test(color)) return false;
+    if (window.CSS && CSS.supports) return CSS.supports("color", color);
+    return true;
+}
+
+// Readable report of the problems of a data file: the errors, then the warnings
+function createValidationReport(report) {
+    const div = document.createElement("div");
+    div.className = "validation-report";
+    [["Errors", report.errors], ["Warnings", report.warnings]].forEach(function(kind) {
+        const messages = kind[1];
+        if (messages.length === 0) return;
+        const header = document.createElement("div");
+        header.className = "section";
+        header.textContent = kind[0] + " (" + messages.length + ")";
+        div.appendChild(header);
+        const list = document.createElement("ul");
+        for (const message of messages.slice(0, VALIDATION_MAX_LISTED)) {
+            const li = document.createElement("li");
+            li.textContent = message;
+            list.appendChild(li);
+        }
+        if (messages.length > VALIDATION_MAX_LISTED) {
+            const li = document.createElement("li");
+            li.textContent = "… and " + (messages.length - VALIDATION_MAX_LISTED) + " more";
+            list.appendChild(li);
+        }
+        div.appendChild(list);
+    });
+    return div;
+}
+
+// Content of the modal for a failed load: the validation report, or the message
+function describeLoadError(error) {
+    if (!error.report) return error.message;
+    const div = document.createElement("div");
+    div.appendChild(document.createTextNode(error.message));
+    div.appendChild(createValidationReport(error.report));
+    return div;
+}
+
+// Show the warnings of a dataset the first time it is shown
+function showValidationWarnings(dataset, data) {
+    const report = data.validation;
+    if (!report || report.warnings.length === 0 || report.shown) return;
+    report.shown = true;
+    console.warn("Warnings for the data of " + dataset.id + ":\n" + report.warnings.slice(0, VALIDATION_MAX_LISTED).join("\n"));
+    showCustomModal("Problems in the data for " + getDatasetTitle(dataset), createValidationReport(report));
+}
+
+// Fetch the data file of a dataset by inserting a <script> tag
+// Works for both http(s):// and file:// URLs, unlike fetch()
+function fetchDataset(dataset) {
+    if (DATA_CACHE[dataset.id]) return DATA_CACHE[dataset.id];
+
+    const globalVarName = dataset.global;
+    const src = dataset.file;
+
+    DATA_CACHE[dataset.id] = new Promise(function(resolve, reject) {
+        // An earlier generation defines the same global as the current data: keep that aside while loading
+        const saved = window[globalVarName];
+        if (dataset.versionOf) {
+            window[globalVarName] = undefined;
+        } else if (window[globalVarName]) {
+            // Data may already be present (e.g. included by a static script tag)
+            resolve(window[globalVarName]);
+            return;
+        }
+
+        // Syntax errors in the data file are reported to window, not to the script element
+        let syntaxError = null;
+        const errorHandler = function(event) {
+            if (event.filename && event.filename.indexOf(src) !== -1) syntaxError = event.message;
+        };
+        window.addEventListener("error", errorHandler);
+
+        const script = document.createElement("script");
+        script.src = src;
+        script.onload = function() {
+            window.removeEventListener("error", errorHandler);
+            const data = window[globalVarName];
+            if (dataset.versionOf) window[globalVarName] = saved;
+            if (syntaxError) {
+                reject(new Error("The file " + src + " could not be parsed: " + syntaxError));
+            } else if (!data) {
+                reject(new Error("The file " + src + " was loaded but does not define " + globalVarName + "."));
+            } else {
+                resolve(data);
+            }
+        };
+        script.onerror = function() {
+            window.removeEventListener("error", errorHandler);
+            if (dataset.versionOf) window[globalVarName] = saved;
+            reject(new Error("The file " + src + " could not be loaded. It may be missing; please generate the data files first."));
+        };
+        document.head.appendChild(script);
+    }).then(function(data) {
+        if (!data.validation) data.validation = validateData(data, dataset.prime);
+        if (data.validation.errors.length) {
+            const error = new Error("The data for " + getDatasetTitle(dataset) + " is malformed, so it is not shown.");
+            error.report = data.validation;
+            throw error;
+        }
+        return data;
+    });
+
+    // Forget failed loads so that selecting the dataset again retries
+    DATA_CACHE[dataset.id].catch(function() { delete DATA_CACHE[dataset.id]; });
+    return DATA_CACHE[dataset.id];
+}
+
+// Short description of a dataset, e.g. "S⁰ at prime 3", or "S⁰ at prime 3 (generated January 31, 2025)"
+function getDatasetTitle(dataset) {
+    const title = dataset.name + " at prime " + dataset.prime;
+    if (!dataset.versionOf) return title;
+    return title + " (" + (dataset.label || "generated " + formatTimestamp(dataset.time)) + ")";
+}
+
+// Load and display a dataset
+// Returns a Promise resolving to true once the data is shown, or false if loading failed
+function loadDataset(dataset) {
+    setLoadingIndicator("Loading " + getDatasetTitle(dataset) + "…");
+
+    return fetchDataset(dataset).then(function(data) {
+        // Ignore the result if another dataset was selected while loading
+        if (dataset !== CURRENT_DATASET) return false;
+        setLoadingIndicator(null);
+
+        DATA_JSON = data;
+        DATA_JSON.dataset = dataset;
+        DATA_JSON.prime = dataset.prime;
+        if (!DATA_JSON.bidegrees) DATA_JSON.bidegrees = buildBidegreeIndex(DATA_JSON);
+        if (!DATA_JSON.stacks) DATA_JSON.stacks = buildStackIndex(DATA_JSON);
+        if (!DATA_JSON.productTypes) DATA_JSON.productTypes = collectProductTypes(DATA_JSON);
+        if (!DATA_JSON.deathPages) buildDifferentialIndex(DATA_JSON);
+        const indexed = DATA_JSON.spatialIndex && DATA_JSON.spatialIndex.coordinates === COORDINATE_SYSTEM;
+        if (!indexed && ["ring", "module"].includes(DATA_JSON.type)) DATA_JSON.spatialIndex = buildSpatialIndex(DATA_JSON);
+        CURRENT_PAGE = 2;
+        loadSelectionSets();
+        loadAnnotations();
+
+        // Keep comparing with the same dataset, rescaled for the new prime
+        // (earlier generations are only compared with their own dataset)
+        if (COMPARISON) {
+            const compared = COMPARISON.dataset;
+            const keep = compared !== dataset && (!compared.versionOf || compared.versionOf === dataset);
+            COMPARISON = keep ? buildComparison(compared, COMPARISON.source, COMPARISON.rescale) : null;
+        }
         clearPlot();
         
         // Update bounds based on actual data
-        const bounds = calculateMaxBounds(DATA_JSON);
-        CONFIG.x_max = bounds.x_max;
-        CONFIG.y_max = bounds.y_max;
-        CONFIG_DYNAMIC.camera_unit_screen_min = (window.innerWidth - CONFIG.margin_x) / (CONFIG.x_max + 1);
-        
-        // Update grid to match data bounds
-        addGridLines();
+        updateBounds();
         
         DATA_JSON.class = "cw"; // CSS class for the visualization
-        Plot(DATA_JSON);
-        createPrimeSelector();
+        Plot();
+        createLegend();
+        updateSetsPanel();
+        createDatasetSelector();
         
         // Set default region
-        setCameraToDefaultRegion(prime);
+        setCameraToDefaultRegion(dataset, true);
         
         // Update page title like original
-        document.title = "Adams E₂ for S⁰ at prime " + prime;
+        document.title = "Adams E₂ for " + getDatasetTitle(dataset);
         
-        console.log("Loaded data for prime " + prime + ", bounds: x_max=" + CONFIG.x_max + ", y_max=" + CONFIG.y_max);
+        console.log("Loaded data for " + dataset.id + ", bounds: x_max=" + CONFIG.x_max + ", y_max=" + CONFIG.y_max);
+        showValidationWarnings(dataset, data);
+        return true;
+    }, function(error) {
+        if (dataset !== CURRENT_DATASET) return false;
+        setLoadingIndicator(null);
+        console.error(error.message);
+        showCustomModal("Data unavailable for " + getDatasetTitle(dataset), describeLoadError(error));
+        return false;
+    });
+}
+
+/* ===== USER DATA FILES ===== */
+
+/*
+ * A data file of one's own (JSON, or the JS-wrapped format of E2_js_data) can be dropped on
+ * the page or opened from the menu. It is read in the browser, validated like the bundled
+ * files and added to the dataset picker as a temporary dataset (module USER_FILE_MODULE),
+ * which lasts until the page is reloaded. Its prime is read from a "prime" field or the
+ * file name (p_5_...), or else asked for.
+ */
+
+const USER_FILE_MODULE = "file";
+
+// Parse JSON or "globalThis.DATA_JSON_p_3_S0 = {...};": the object is parsed as JSON, never run
+function parseDataFile(text) {
+    const start = text.indexOf("{"), end = text.lastIndexOf("}");
+    if (start === -1 || end < start) throw new Error("The file contains no { … } object.");
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+// Read a dropped or opened file and show it as a temporary dataset
+function openDataFile(file) {
+    setLoadingIndicator("Reading " + file.name + "…");
+    file.text().then(function(text) {
+        setLoadingIndicator(null);
+        let data;
+        try {
+            data = parseDataFile(text);
+        } catch (error) {
+            showCustomModal("Cannot read " + file.name, "The file is neither JSON nor a JS file of the form globalThis.DATA_JSON_… = { … }; around a JSON object. " + error.message);
+            return;
+        }
+        const match = /p_(\d+)/.exec(file.name);
+        const prime = Number.isInteger(data.prime) ? data.prime : match ? Number(match[1]) : null;
+        if (prime) showUserData(file.name, data, prime);
+        else askPrime(file.name, data);
+    }, function(error) {
+        setLoadingIndicator(null);
+        showCustomModal("Cannot read " + file.name, error.message);
+    });
+}
+
+function askPrime(name, data) {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+    const primeInput = createNumberField(form, "Prime p", "prime", 2);
+    primeInput.min = 2;
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Plot";
+    form.appendChild(submit);
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const prime = parseInt(primeInput.value);
+        if (!(prime >= 2)) return;
+        closeCustomModal();
+        showUserData(name, data, prime);
+    };
+    showCustomModal("Prime of " + name, form);
+}
+
+// Validate the data and switch to it; a file with the same name replaces the earlier one
+function showUserData(name, data, prime) {
+    if (typeof data === "object" && data !== null && !("type" in data)) data.type = "ring"; // Plotted like the bundled files
+    data.validation = validateData(data, prime);
+    if (data.validation.errors.length) {
+        const div = document.createElement("div");
+        div.appendChild(document.createTextNode("The data is malformed, so it is not shown."));
+        div.appendChild(createValidationReport(data.validation));
+        showCustomModal("Cannot plot " + name, div);
+        return;
+    }
+
+    const id = USER_FILE_MODULE + ":" + name;
+    let dataset = getDatasetById(id);
+    if (!dataset) {
+        dataset = { id: id, module: USER_FILE_MODULE, name: name, file: null, global: null, versions: [] };
+        DATASETS.push(dataset);
+    }
+    dataset.prime = prime;
+    dataset.label = name + " (p = " + prime + ")";
+    DATA_CACHE[id] = Promise.resolve(data);
+    if (dataset === CURRENT_DATASET) {
+        loadDataset(dataset);
     } else {
-        console.error("Data for prime " + prime + " not found. Global variable " + globalVarName + " is not defined.");
-        alert("Data for prime " + prime + " is not available. Please generate the data files first.");
+        switchDataset(dataset);
     }
 }
 
+// Pick a data file with the file dialog
+function showOpenFileDialog() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,.js,application/json,text/javascript";
+    input.onchange = function() {
+        if (input.files.length) openDataFile(input.files[0]);
+    };
+    input.click();
+}
+
+// Dragging files over the page shows a drop hint; dropping one opens it
+function initFileDrop() {
+    const hasFiles = function(event) {
+        return event.dataTransfer && Array.from(event.dataTransfer.types || []).includes("Files");
+    };
+    document.addEventListener("dragover", function(event) {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "copy";
+        document.body.classList.add("dragging-file");
+    });
+    document.addEventListener("dragleave", function(event) {
+        if (event.relatedTarget === null) document.body.classList.remove("dragging-file"); // Left the window
+    });
+    document.addEventListener("drop", function(event) {
+        document.body.classList.remove("dragging-file");
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        if (event.dataTransfer.files.length) openDataFile(event.dataTransfer.files[0]);
+    });
+}
+
 // Process URL parameters after data is loaded
 function processUrlParams(params) {
     // Only process URL params if they are explicitly provided
@@ -1023,11 +5040,18 @@ function processUrlParams(params) {
         setCameraPosition(
             hasScale ? params.scale : 1,
             hasX ? params.x : 0,
-            hasY ? params.y : 0
+            hasY ? params.y : 0,
+            true
         );
     } else {
-        // Use default region for current prime
-        setCameraToDefaultRegion(CURRENT_PRIME);
+        // Use default region for current dataset
+        setCameraToDefaultRegion(CURRENT_DATASET, true);
+    }
+
+    if (!isNaN(params.sel)) selectBulletByIndex(params.sel);
+
+    for (const param of URL_EXTRA_PARAMS) {
+        param.set(params.search.get(param.key));
     }
 }
 
@@ -1037,28 +5061,33 @@ function processUrlParams(params) {
 function initializeSystem() {
     initializeElements();
     initHandlers();
-    addGridLines();
+    renderView(); // Grid only, until a dataset is loaded
     
     // Add window blur handler for pointer cleanup
     window.addEventListener('blur', handleWindowBlur);
     
+    loadManifest();
     const params = getUrlParams();
-    CURRENT_PRIME = params.prime;
+    CURRENT_DATASET = getDatasetFromParams(params);
+    createDatasetSelector();
     
-    // Load initial prime data
-    loadPrimeData(CURRENT_PRIME);
-    
-    // Process URL parameters after data is loaded
-    setTimeout(function() {
-        processUrlParams(params);
-    }, 100);
+    // Load initial dataset, then process URL parameters
+    if (CURRENT_DATASET) {
+        loadDataset(CURRENT_DATASET).then(function(loaded) {
+            if (loaded) processUrlParams(params);
+            // From now on the URL follows the view
+            urlSyncEnabled = true;
+        });
+    } else {
+        showCustomModal("No datasets", "The dataset manifest does not list any datasets.");
+    }
     
     // Set up window resize handler
     window.addEventListener("resize", windowResize);
     
     console.log("Adams Spectral Sequence Unified Viewer initialized");
-    console.log("Available primes: " + AVAILABLE_PRIMES);
-    console.log("Current prime: " + CURRENT_PRIME);
+    console.log("Available datasets: " + DATASETS.map(function(dataset) { return dataset.id; }).join(", "));
+    console.log("Current dataset: " + (CURRENT_DATASET ? CURRENT_DATASET.id : "none"));
 }
 
 // Initialize when the page loads
@@ -0,0 +1,218 @@
+/*
+ * Adams Spectral Sequence Unified Viewer - Statistics
+ *
+ * Counts the generators of the current DATA_JSON in a (t-s, s) rectangle, to check
+ * the chart against the tables in the literature:
+ * - per stem t-s (with the highest filtration of the stem, its edge), per filtration s,
+ *   per internal degree t, or per bidegree
+ * - the total rank of the rectangle
+ * - the vanishing line: the lowest line of a given slope with no generators of positive
+ *   stem above it, and the stems where generators lie on it
+ * On pages after E₂, the classes that are dead on the current page can be left out.
+ * Each table can be downloaded as CSV, and clicking a row moves the camera to its bidegree.
+ * The range inputs are shared with the image export (export.js).
+ */
+
+/* ===== CONFIGURATION ===== */
+
+const STATS_CONFIG = {
+    max_rows: 1000,         // Rows shown in a table (the CSV has them all)
+};
+
+// Tables of the statistics dialog: label, CSV header and the key of each generator
+const STATS_TABLES = {
+    stem: { label: "Per stem (t−s)", header: ["t-s", "generators", "top s"] },
+    s: { label: "Per filtration s", header: ["s", "generators"] },
+    t: { label: "Per t", header: ["t", "generators"] },
+    bidegree: { label: "Per bidegree", header: ["t-s", "s", "t", "generators"] },
+};
+
+/* ===== COUNTING ===== */
+
+// Count the generators in the range; dead classes of the current page are left out if aliveOnly
+// Returns { total, byStem, byS, byT, byBidegree } where each map goes from the key to
+// { count, x, y }: the bidegree the camera moves to for that row (for stems: the top one)
+function computeStatistics(range, aliveOnly) {
+    const stats = { total: 0, byStem: new Map(), byS: new Map(), byT: new Map(), byBidegree: new Map() };
+    const add = function(map, key, x, y, isTop) {
+        const entry = map.get(key);
+        if (!entry) {
+            map.set(key, { count: 1, x: x, y: y });
+            return;
+        }
+        entry.count++;
+        if (isTop ? y > entry.y : x < entry.x) {
+            entry.x = x;
+            entry.y = y;
+        }
+    };
+    DATA_JSON.bullets.forEach(function(bullet, i) {
+        const deg = getBulletDegree(i);
+        if (deg.x < range.x_min || deg.x > range.x_max || deg.y < range.y_min || deg.y > range.y_max) return;
+        if (aliveOnly && isDeadClass(i)) return;
+        stats.total++;
+        add(stats.byStem, deg.x, deg.x, deg.y, true);
+        add(stats.byS, deg.y, deg.x, deg.y, false);
+        add(stats.byT, deg.t, deg.x, deg.y, false);
+        add(stats.byBidegree, deg.x + "," + deg.y, deg.x, deg.y, false);
+    });
+    return stats;
+}
+
+// Lowest line s = slope·(t−s) + intercept with all the generators of positive stem on or below it
+// Returns { intercept, stems (on the line) }, or null if there are no such generators
+function computeVanishingLine(stats, slope) {
+    let intercept = -Infinity;
+    stats.byStem.forEach(function(entry, x) {
+        if (x > 0) intercept = Math.max(intercept, entry.y - slope * x);
+    });
+    if (intercept === -Infinity) return null;
+    const stems = [];
+    stats.byStem.forEach(function(entry, x) {
+        if (x > 0 && Math.abs(entry.y - slope * x - intercept) < 1e-9) stems.push(x);
+    });
+    stems.sort(function(a, b) { return a - b; });
+    return { intercept: intercept, stems: stems };
+}
+
+// Rows of a table, sorted by key: [{ cells, x, y }]
+function getStatisticsRows(stats, table) {
+    const rows = [];
+    if (table === "stem") {
+        stats.byStem.forEach(function(entry, x) { rows.push({ cells: [x, entry.count, entry.y], x: entry.x, y: entry.y }); });
+    } else if (table === "s") {
+        stats.byS.forEach(function(entry, y) { rows.push({ cells: [y, entry.count], x: entry.x, y: entry.y }); });
+    } else if (table === "t") {
+        stats.byT.forEach(function(entry, t) { rows.push({ cells: [t, entry.count], x: entry.x, y: entry.y }); });
+    } else {
+        stats.byBidegree.forEach(function(entry) { rows.push({ cells: [entry.x, entry.y, entry.x + entry.y, entry.count], x: entry.x, y: entry.y }); });
+    }
+    rows.sort(function(a, b) { return a.cells[0] - b.cells[0] || a.cells[1] - b.cells[1]; });
+    return rows;
+}
+
+function formatStatisticsCsv(table, rows) {
+    return [STATS_TABLES[table].header.join(",")].concat(rows.map(function(row) { return row.cells.join(","); })).join("\n") + "\n";
+}
+
+// Default slope of the vanishing line: 1/2 at p = 2, 1/(2(p−1)) at odd primes
+function getDefaultVanishingSlope() {
+    return DATA_JSON.prime === 2 ? 0.5 : 1 / (2 * (DATA_JSON.prime - 1));
+}
+
+/* ===== DIALOG ===== */
+
+function showStatisticsDialog() {
+    if (!DATA_JSON.bullets) return;
+    const form = document.createElement("form");
+    form.className = "modal-form";
+    createExportRangeFields(form);
+
+    const tableLabel = document.createElement("label");
+    tableLabel.textContent = "Table";
+    const tableSelect = document.createElement("select");
+    for (const table in STATS_TABLES) tableSelect.add(new Option(STATS_TABLES[table].label, table));
+    tableLabel.appendChild(tableSelect);
+    form.appendChild(tableLabel);
+
+    const slopeInput = createNumberField(form, "Vanishing line slope", "slope", Math.round(getDefaultVanishingSlope() * 10000) / 10000, "any");
+
+    let aliveCheckbox = null;
+    if (DATA_JSON.maxPage > 2) {
+        const aliveLabel = document.createElement("label");
+        aliveLabel.className = "checkbox";
+        aliveCheckbox = document.createElement("input");
+        aliveCheckbox.type = "checkbox";
+        aliveCheckbox.checked = CURRENT_PAGE > 2;
+        aliveLabel.appendChild(aliveCheckbox);
+        aliveLabel.appendChild(document.createTextNode(" Only classes alive on the current page (" + getPageName(CURRENT_PAGE) + ")"));
+        form.appendChild(aliveLabel);
+    }
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Count";
+    form.appendChild(submit);
+
+    // Results, filled on submit
+    const results = document.createElement("div");
+    results.className = "wide statistics";
+    form.appendChild(results);
+
+    const downloadButton = document.createElement("button");
+    downloadButton.type = "button";
+    downloadButton.textContent = "Download .csv";
+    downloadButton.style.display = "none";
+    form.appendChild(downloadButton);
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const range = readExportRange(form);
+        if (range === null) return;
+        // An empty slope field means the default slope
+        const slope = slopeInput.value.trim() === "" ? getDefaultVanishingSlope() : Number(slopeInput.value);
+        if (!(isFinite(slope) && slope > 0)) {
+            showFormError(form, "Please enter a positive slope for the vanishing line, or leave it empty for the default.");
+            return;
+        }
+        clearFormError(form);
+        const table = tableSelect.value;
+        const stats = computeStatistics(range, aliveCheckbox !== null && aliveCheckbox.checked);
+        const rows = getStatisticsRows(stats, table);
+        showStatisticsResults(results, stats, slope, table, rows);
+        downloadButton.style.display = rows.length ? "" : "none";
+        downloadButton.onclick = function() {
+            downloadFile(formatStatisticsCsv(table, rows), getExportFilename(range, table + ".csv"), "text/csv");
+        };
+    };
+    tableSelect.onchange = function() { submit.click(); };
+
+    showCustomModal("Statistics", form);
+    submit.click();
+}
+
+// Summary lines and the table; clicking a row centers the camera on its bidegree
+function showStatisticsResults(results, stats, slope, table, rows) {
+    results.innerHTML = "";
+    const summary = document.createElement("div");
+    summary.textContent = stats.total + " generators in " + stats.byBidegree.size + " bidegrees";
+    results.appendChild(summary);
+
+    const line = computeVanishingLine(stats, slope);
+    if (line) {
+        const vanishing = document.createElement("div");
+        const intercept = Math.round(line.intercept * 1000) / 1000;
+        vanishing.textContent = "Vanishing line: above t−s = 0, nothing lies above s = " + Math.round(slope * 10000) / 10000 +
+            "·(t−s) " + (intercept < 0 ? "− " : "+ ") + Math.abs(intercept) + ", reached in stem" + (line.stems.length > 1 ? "s " : " ") +
+            line.stems.slice(0, 10).join(", ") + (line.stems.length > 10 ? ", …" : "");
+        results.appendChild(vanishing);
+    }
+    if (rows.length === 0) return;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "table";
+    const tableElement = document.createElement("table");
+    const head = tableElement.insertRow();
+    for (const header of STATS_TABLES[table].header) {
+        const th = document.createElement("th");
+        th.textContent = header.replace("t-s", "t−s");
+        head.appendChild(th);
+    }
+    for (const row of rows.slice(0, STATS_CONFIG.max_rows)) {
+        const tr = tableElement.insertRow();
+        for (const cell of row.cells) tr.insertCell().textContent = cell;
+        tr.title = "Go to (" + row.x + ", " + row.y + ")";
+        tr.onclick = function() {
+            closeCustomModal();
+            setCameraPosition(null, transX(row.x, DATA_JSON, row.y), row.y);
+        };
+    }
+    wrapper.appendChild(tableElement);
+    results.appendChild(wrapper);
+    if (rows.length > STATS_CONFIG.max_rows) {
+        const note = document.createElement("div");
+        note.className = "note";
+        note.textContent = "First " + STATS_CONFIG.max_rows + " of " + rows.length + " rows (the CSV has all of them)";
+        results.appendChild(note);
+    }
+}
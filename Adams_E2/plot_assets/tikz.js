@@ -0,0 +1,267 @@
+/* 
+ * Adams Spectral Sequence Unified Viewer - TikZ / LaTeX Export
+ * 
+ * Turns a (t-s, s) rectangle of the current DATA_JSON into LaTeX code:
+ * - "tikz": a plain tikzpicture (bullets, structure lines, grid, axis ticks)
+ * - "sseqpages": a sseqpage environment of the sseqpages package, which
+ *   stacks the classes of a bidegree and draws the axes by itself
+ * Structure lines are the drawn products of DATA_JSON.prods (l != 0) whose
+ * source and target both lie in the range. The range inputs are shared with
+ * the image export (export.js).
+ */
+
+/* ===== CONFIGURATION ===== */
+
+const TIKZ_CONFIG = {
+    unit_cm: 0.5,           // Size of one grid unit in the tikzpicture (cm)
+    bullet_size_pt: 3,      // Bullet diameter (pt)
+    stack_spacing: 0.2,     // Horizontal distance between generators of one bidegree (grid units)
+    stack_width: 0.7,       // Maximum total width of a stack (grid units)
+    target_ticks: 10,       // Approximate number of axis labels for the default tick step
+};
+
+// Unicode sub- and superscript digits used in generator names, and their plain digits
+const TIKZ_SUBSCRIPTS = "₀₁₂₃₄₅₆₇₈₉";
+const TIKZ_SUPERSCRIPTS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+
+/* ===== HELPERS ===== */
+
+// Convert a generator name such as "h₀²" or "b_{11}" to LaTeX math
+function toLatexName(name) {
+    let result = "";
+    let mode = null; // "_" or "^" while inside a run of Unicode sub-/superscripts
+    let run = "";
+    const flush = function() {
+        if (mode) result += mode + (run.length > 1 ? "{" + run + "}" : run);
+        mode = null;
+        run = "";
+    };
+    for (const ch of name) {
+        const sub = TIKZ_SUBSCRIPTS.indexOf(ch), sup = TIKZ_SUPERSCRIPTS.indexOf(ch);
+        const chMode = sub !== -1 ? "_" : (sup !== -1 ? "^" : null);
+        if (chMode !== mode) flush();
+        if (chMode) {
+            mode = chMode;
+            run += String(sub !== -1 ? sub : sup);
+        } else {
+            result += ch;
+        }
+    }
+    flush();
+    return result;
+}
+
+// Default tick step: a multiple of 2 (or 1) giving about TIKZ_CONFIG.target_ticks labels
+function getDefaultTickStep(range) {
+    const span = Math.max(range.x_max - range.x_min, range.y_max - range.y_min);
+    const step = Math.ceil(span / TIKZ_CONFIG.target_ticks);
+    return step <= 1 ? 1 : step + step % 2;
+}
+
+// Format a coordinate with at most 3 decimals
+function formatTikzNumber(x) {
+    return String(Number(x.toFixed(3)));
+}
+
+// Generators in the range, grouped by bidegree: list of { x, y, gens: [bullet indices] }
+function getBidegreesInRange(range) {
+    const result = [];
+    for (let x = range.x_min; x <= range.x_max; x++) {
+        for (let y = range.y_min; y <= range.y_max; y++) {
+            const gens = getBulletsAt(x, y);
+            if (gens.length) result.push({ x: x, y: y, gens: gens });
+        }
+    }
+    return result;
+}
+
+// Drawn structure lines with both ends in the range: list of [source index, target index]
+function getStructureLinesInRange(range) {
+    const inRange = function(i) {
+        const deg = getBulletDegree(i);
+        return deg.x >= range.x_min && deg.x <= range.x_max && deg.y >= range.y_min && deg.y <= range.y_max;
+    };
+    const lines = [];
+    for (const key in DATA_JSON.prods) {
+        const i = Number(key);
+        if (!inRange(i)) continue;
+        for (const prod of DATA_JSON.prods[key]) {
+            if (prod.l == 0) continue; // Same rule as buildSpatialIndex(): zero lines are not drawn
+            for (const j of prod.p) {
+                if (inRange(j)) lines.push([i, j]);
+            }
+        }
+    }
+    return lines;
+}
+
+// Multiples of step between min and max
+function getTicks(min, max, step) {
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max; t += step) ticks.push(t);
+    return ticks;
+}
+
+// Comment lines describing the source of the code
+function getTikzHeader(range) {
+    const dataset = DATA_JSON.dataset;
+    let header = "% Adams E_2 page for " + (dataset ? getDatasetTitle(dataset) : "dataset") + ", " +
+        range.x_min + " <= t-s <= " + range.x_max + ", " + range.y_min + " <= s <= " + range.y_max + "\n";
+    if (DATA_JSON.time) header += "% Data generated " + DATA_JSON.time + "\n";
+    return header;
+}
+
+/* ===== CODE GENERATORS ===== */
+
+// Plain TikZ code; generators of one bidegree are spread out horizontally
+function generateTikz(range, tickStep, withNames) {
+    const n = TIKZ_CONFIG;
+    let code = getTikzHeader(range);
+    code += "% Requires \\usepackage{tikz}\n";
+    code += "\\begin{tikzpicture}[x=" + n.unit_cm + "cm, y=" + n.unit_cm + "cm,\n";
+    code += "    gen/.style={circle, fill, inner sep=0pt, minimum size=" + n.bullet_size_pt + "pt},\n";
+    code += "    genlabel/.style={font=\\tiny, above right=0pt, inner sep=1pt},\n";
+    code += "    structline/.style={thin}]\n";
+
+    // Grid and axes
+    const x0 = range.x_min - 0.5, x1 = range.x_max + 0.5, y0 = range.y_min - 0.5, y1 = range.y_max + 0.5;
+    code += "  \\draw[very thin, black!12, step=1] (" + range.x_min + "," + range.y_min + ") grid (" + range.x_max + "," + range.y_max + ");\n";
+    code += "  \\draw (" + x0 + "," + y0 + ") -- (" + x1 + "," + y0 + ");\n";
+    code += "  \\draw (" + x0 + "," + y0 + ") -- (" + x0 + "," + y1 + ");\n";
+    // The ticks are listed explicitly: with {a, b, ..., max}, \foreach always outputs a and b, even past max
+    const xTicks = getTicks(range.x_min, range.x_max, tickStep), yTicks = getTicks(range.y_min, range.y_max, tickStep);
+    if (xTicks.length) {
+        code += "  \\foreach \\x in {" + xTicks.join(",") + "}\n";
+        code += "    \\node[below, font=\\scriptsize] at (\\x," + y0 + ") {$\\x$};\n";
+    }
+    if (yTicks.length) {
+        code += "  \\foreach \\y in {" + yTicks.join(",") + "}\n";
+        code += "    \\node[left, font=\\scriptsize] at (" + x0 + ",\\y) {$\\y$};\n";
+    }
+
+    // Bullets: named nodes g<index> so that structure lines can refer to them
+    code += "  % Generators\n";
+    for (const bideg of getBidegreesInRange(range)) {
+        const count = bideg.gens.length;
+        const spacing = Math.min(n.stack_spacing, n.stack_width / count);
+        bideg.gens.forEach(function(i, k) {
+            const x = bideg.x + (k - (count - 1) / 2) * spacing;
+            code += "  \\node[gen] (g" + i + ") at (" + formatTikzNumber(x) + "," + bideg.y + ") {};";
+            if (withNames) code += " \\node[genlabel] at (g" + i + ") {$" + toLatexName(getBulletName(i)) + "$};";
+            code += "\n";
+        });
+    }
+
+    code += "  % Structure lines\n";
+    for (const [i, j] of getStructureLinesInRange(range)) {
+        code += "  \\draw[structline] (g" + i + ") -- (g" + j + ");\n";
+    }
+    code += "\\end{tikzpicture}\n";
+    return code;
+}
+
+// Code for the sseqpages package; classes are referred to by (x, y, k) with k the position in the bidegree
+function generateSseqpages(range, tickStep, withNames) {
+    let code = getTikzHeader(range);
+    code += "% Requires \\usepackage{spectralsequences}\n";
+    code += "\\begin{sseqpage}[xrange={" + range.x_min + "}{" + range.x_max + "}, yrange={" + range.y_min + "}{" + range.y_max + "},\n";
+    code += "    xscale=" + TIKZ_CONFIG.unit_cm + ", yscale=" + TIKZ_CONFIG.unit_cm + ", x tick step=" + tickStep + ", y tick step=" + tickStep + ",\n";
+    code += "    classes={fill, inner sep=0pt, minimum size=" + TIKZ_CONFIG.bullet_size_pt + "pt}, grid=go]\n";
+
+    // Position of each generator within its bidegree, as numbered by sseqpages (1-based)
+    const positions = {};
+    for (const bideg of getBidegreesInRange(range)) {
+        bideg.gens.forEach(function(i, k) {
+            positions[i] = bideg.x + "," + bideg.y + "," + (k + 1);
+            code += "\\class";
+            if (withNames) code += "[\"" + toLatexName(getBulletName(i)) + "\"]";
+            code += "(" + bideg.x + "," + bideg.y + ")\n";
+        });
+    }
+    for (const [i, j] of getStructureLinesInRange(range)) {
+        code += "\\structline(" + positions[i] + ")(" + positions[j] + ")\n";
+    }
+    code += "\\end{sseqpage}\n";
+    return code;
+}
+
+/* ===== DIALOG ===== */
+
+// Show the LaTeX export dialog: options, then the generated code with copy and download buttons
+function showTikzDialog() {
+    const form = document.createElement("form");
+    form.className = "modal-form";
+    createExportRangeFields(form);
+
+    const formatLabel = document.createElement("label");
+    formatLabel.textContent = "Format";
+    const formatSelect = document.createElement("select");
+    formatSelect.name = "format";
+    [["tikz", "TikZ picture"], ["sseqpages", "spectralsequences package"]].forEach(function(item) {
+        const option = document.createElement("option");
+        option.value = item[0];
+        option.textContent = item[1];
+        formatSelect.appendChild(option);
+    });
+    formatLabel.appendChild(formatSelect);
+    form.appendChild(formatLabel);
+
+    const tickInput = createNumberField(form, "Tick step", "tick_step", getDefaultTickStep(getCameraRange()));
+
+    const namesLabel = document.createElement("label");
+    namesLabel.className = "checkbox";
+    const namesCheckbox = document.createElement("input");
+    namesCheckbox.type = "checkbox";
+    namesCheckbox.name = "names";
+    namesLabel.appendChild(namesCheckbox);
+    namesLabel.appendChild(document.createTextNode(" Label generators with their names"));
+    form.appendChild(namesLabel);
+
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.textContent = "Generate";
+    form.appendChild(submit);
+
+    // Output area, filled on submit
+    const output = document.createElement("textarea");
+    output.className = "code";
+    output.readOnly = true;
+    output.style.display = "none";
+    form.appendChild(output);
+
+    const copyButton = document.createElement("button");
+    copyButton.type = "button";
+    copyButton.textContent = "Copy to clipboard";
+    copyButton.style.display = "none";
+    copyButton.onclick = function() {
+        output.select();
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(output.value);
+        } else {
+            document.execCommand("copy");
+        }
+    };
+    form.appendChild(copyButton);
+
+    const downloadButton = document.createElement("button");
+    downloadButton.type = "button";
+    downloadButton.textContent = "Download .tex";
+    downloadButton.style.display = "none";
+    form.appendChild(downloadButton);
+
+    form.onsubmit = function(event) {
+        event.preventDefault();
+        const range = readExportRange(form);
+        if (range === null) return;
+        clearFormError(form); // The dialog stays open with the code
+        const tickStep = Math.max(1, parseInt(tickInput.value) || getDefaultTickStep(range));
+        const generate = formatSelect.value === "sseqpages" ? generateSseqpages : generateTikz;
+        output.value = generate(range, tickStep, namesCheckbox.checked);
+        output.style.display = copyButton.style.display = downloadButton.style.display = "";
+        downloadButton.onclick = function() {
+            downloadFile(output.value, getExportFilename(range, "tex"), "application/x-tex");
+        };
+    };
+
+    showCustomModal("Export TikZ / LaTeX", form);
+}